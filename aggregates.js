@@ -0,0 +1,215 @@
+import { join } from 'path';
+import { formats } from './formats.js';
+import { Transaction } from './transaction.js';
+import { fileSystem, listDirectory } from './utils.js';
+
+/**
+ * @typedef {object} Aggregate
+ * @property {string} period `YYYY-MM` or `YYYY`
+ * @property {number} mean
+ * @property {number} min
+ * @property {number} max
+ * @property {number} open first rate of the period
+ * @property {number} close last rate of the period
+ * @property {number} count days with a rate
+ */
+
+/**
+ * Length of the date prefix each period groups rows by.
+ */
+export const PERIODS = {
+  monthly: 7,
+  yearly: 4,
+};
+
+const HEADER = 'period,mean,min,max,open,close,count';
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Number(value.toPrecision(10));
+
+/**
+ * @param {string} path of a daily dataset, e.g. `EUR/USD.csv`
+ * @param {keyof PERIODS} period
+ * @returns {string} e.g. `EUR/USD.monthly.csv`
+ */
+export const aggregatePath = (path, period) => {
+  return path.replace(/\.csv$/, `.${period}.csv`);
+};
+
+/**
+ * Summarizes rows by period, leaving out days without a rate and
+ * carried forward ones, which would weigh twice otherwise.
+ *
+ * @param {import('./formats.js').Row[]} rows sorted by date
+ * @param {keyof PERIODS} period
+ * @returns {Aggregate[]} sorted by period
+ */
+export const aggregate = (rows, period) => {
+  const groups = new Map();
+
+  for (const { date, rate, carried } of rows) {
+    if (rate === null || carried) {
+      continue;
+    }
+
+    const key = date.substring(0, PERIODS[period]);
+
+    groups.set(key, [...(groups.get(key) || []), rate]);
+  }
+
+  return [...groups].map(([key, rates]) => ({
+    period: key,
+    mean: round(
+      rates.reduce((sum, rate) => sum + rate, 0) / rates.length
+    ),
+    min: Math.min(...rates),
+    max: Math.max(...rates),
+    open: rates[0],
+    close: rates.at(-1),
+    count: rates.length,
+  }));
+};
+
+/**
+ * @param {string} content
+ * @returns {Aggregate[]}
+ */
+export const parseAggregates = (content) => {
+  return content
+    .split('\n')
+    .filter((line) => line && line !== HEADER)
+    .map((line) => {
+      const [period, ...values] = line.split(',');
+      const [mean, min, max, open, close, count] = values.map(Number);
+
+      return { period, mean, min, max, open, close, count };
+    });
+};
+
+/**
+ * @param {Aggregate[]} aggregates
+ * @returns {string} CSV with a header row
+ */
+export const formatAggregates = (aggregates) => {
+  const lines = aggregates.map((item) => {
+    return [
+      item.period,
+      item.mean,
+      item.min,
+      item.max,
+      item.open,
+      item.close,
+      item.count,
+    ].join(',');
+  });
+
+  return [HEADER, ...lines].map((line) => `${line}\n`).join('');
+};
+
+/**
+ * Recomputes the aggregates of the periods `date` falls in from the
+ * daily dataset at `path`, leaving the other periods as they are.
+ *
+ * @param {string} path of a daily CSV dataset
+ * @param {string} date
+ * @param {import('./utils.js').FileIO=} io
+ * @returns {Promise<void>}
+ */
+export const updateAggregates = async (
+  path,
+  date,
+  io = fileSystem
+) => {
+  const rows = formats.csv.parse(await io.read(path));
+
+  for (const period of Object.keys(PERIODS)) {
+    const key = date.substring(0, PERIODS[period]);
+    const [current] = aggregate(
+      rows.filter((row) => row.date.startsWith(key)),
+      period
+    );
+
+    const target = aggregatePath(path, period);
+    const rest = parseAggregates(await io.read(target)).filter(
+      (item) => item.period !== key
+    );
+
+    if (current) {
+      const index = rest.findIndex((item) => item.period > key);
+
+      rest.splice(index === -1 ? rest.length : index, 0, current);
+    }
+
+    await io.write(target, formatAggregates(rest));
+  }
+};
+
+/**
+ * Extends a daily dataset handler to keep aggregates up to date with
+ * each inserted or updated row.
+ *
+ * @param {(path: string, line: string, io: import('./utils.js').FileIO) => Promise<import('./utils.js').UpsertStatus>} handler
+ * @returns {(path: string, line: string, io: import('./utils.js').FileIO) => Promise<import('./utils.js').UpsertStatus>}
+ */
+export const withAggregates = (handler) => {
+  return async (path, line, io) => {
+    const result = await handler(path, line, io);
+
+    if (result !== 'unchanged') {
+      await updateAggregates(path, line.split(',')[0], io);
+    }
+
+    return result;
+  };
+};
+
+/**
+ * Rewrites the aggregates of every daily dataset under `dataPath` from
+ * scratch, e.g. for datasets written before aggregates existed.
+ *
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @returns {Promise<string[]>} paths of the daily datasets aggregated
+ */
+export const rebuildAggregates = async (options) => {
+  const { dataPath } = options;
+  const transaction = new Transaction();
+  const paths = [];
+
+  try {
+    for (const base of await listDirectory(dataPath)) {
+      if (!/^[A-Z]{3}$/.test(base)) {
+        continue;
+      }
+
+      for (const name of await listDirectory(join(dataPath, base))) {
+        if (!/^[A-Z]{3}\.csv$/.test(name)) {
+          continue;
+        }
+
+        const path = join(dataPath, base, name);
+        const rows = formats.csv.parse(await fileSystem.read(path));
+
+        for (const period of Object.keys(PERIODS)) {
+          await transaction.write(
+            aggregatePath(path, period),
+            formatAggregates(aggregate(rows, period))
+          );
+        }
+
+        paths.push(path);
+      }
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+
+    throw error;
+  }
+
+  return paths;
+};
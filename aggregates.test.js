@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  aggregate,
+  aggregatePath,
+  formatAggregates,
+  parseAggregates,
+  rebuildAggregates,
+  updateAggregates,
+  withAggregates,
+} from './aggregates.js';
+import { memoryIO } from './testing.js';
+import { upsertLine } from './utils.js';
+
+describe('aggregate', () => {
+  const rows = [
+    { date: '2024-01-30', rate: 1.2 },
+    { date: '2024-01-31', rate: 1.1 },
+    { date: '2024-02-01', rate: null },
+    { date: '2024-02-02', rate: 1.3 },
+    { date: '2024-02-05', rate: 1.5 },
+  ];
+
+  it('should leave out carried forward rates', () => {
+    assert.deepEqual(
+      aggregate(
+        [
+          { date: '2024-03-28', rate: 1.1 },
+          { date: '2024-03-29', rate: 1.1, carried: true },
+          { date: '2024-04-02', rate: 1.2 },
+        ],
+        'yearly'
+      ),
+      [
+        {
+          period: '2024',
+          mean: 1.15,
+          min: 1.1,
+          max: 1.2,
+          open: 1.1,
+          close: 1.2,
+          count: 2,
+        },
+      ]
+    );
+  });
+
+  it('should summarize rows by month', () => {
+    assert.deepEqual(aggregate(rows, 'monthly'), [
+      {
+        period: '2024-01',
+        mean: 1.15,
+        min: 1.1,
+        max: 1.2,
+        open: 1.2,
+        close: 1.1,
+        count: 2,
+      },
+      {
+        period: '2024-02',
+        mean: 1.4,
+        min: 1.3,
+        max: 1.5,
+        open: 1.3,
+        close: 1.5,
+        count: 2,
+      },
+    ]);
+  });
+
+  it('should summarize rows by year', () => {
+    const [year] = aggregate(rows, 'yearly');
+
+    assert.equal(year.period, '2024');
+    assert.equal(year.mean, 1.275);
+    assert.equal(year.count, 4);
+  });
+
+  it('should round-trip aggregates', () => {
+    const aggregates = aggregate(rows, 'monthly');
+    const content = formatAggregates(aggregates);
+
+    assert.match(content, /^period,mean,min,max,open,close,count\n/);
+    assert.deepEqual(parseAggregates(content), aggregates);
+  });
+});
+
+describe('aggregatePath', () => {
+  it('should name files after the daily dataset', () => {
+    assert.equal(
+      aggregatePath('data/EUR/USD.csv', 'monthly'),
+      'data/EUR/USD.monthly.csv'
+    );
+  });
+});
+
+describe('updateAggregates', () => {
+  it('should only recompute periods of the date', async () => {
+    const files = {
+      'EUR/USD.csv': '2024-01-31,1.1\n2024-02-01,1.4\n',
+      'EUR/USD.monthly.csv':
+        'period,mean,min,max,open,close,count\n' +
+        '2023-12,9,9,9,9,9,1\n' +
+        '2024-01,9,9,9,9,9,1\n',
+    };
+
+    await updateAggregates(
+      'EUR/USD.csv',
+      '2024-02-01',
+      memoryIO(files)
+    );
+
+    assert.equal(
+      files['EUR/USD.monthly.csv'],
+      'period,mean,min,max,open,close,count\n' +
+        '2023-12,9,9,9,9,9,1\n' +
+        '2024-01,9,9,9,9,9,1\n' +
+        '2024-02,1.4,1.4,1.4,1.4,1.4,1\n'
+    );
+
+    assert.equal(
+      files['EUR/USD.yearly.csv'],
+      'period,mean,min,max,open,close,count\n' +
+        '2024,1.25,1.1,1.4,1.1,1.4,2\n'
+    );
+  });
+
+  it('should drop periods left without rates', async () => {
+    const files = {
+      'EUR/USD.csv': '2024-01-31,\n',
+      'EUR/USD.monthly.csv':
+        'period,mean,min,max,open,close,count\n' +
+        '2024-01,1.1,1.1,1.1,1.1,1.1,1\n',
+    };
+
+    await updateAggregates(
+      'EUR/USD.csv',
+      '2024-01-31',
+      memoryIO(files)
+    );
+
+    assert.equal(
+      files['EUR/USD.monthly.csv'],
+      'period,mean,min,max,open,close,count\n'
+    );
+  });
+});
+
+describe('withAggregates', () => {
+  it('should update aggregates of changed rows only', async () => {
+    const files = {};
+    const io = memoryIO(files);
+    const handler = withAggregates(upsertLine);
+
+    assert.equal(
+      await handler('EUR/USD.csv', '2024-01-02,1.2', io),
+      'inserted'
+    );
+    assert.match(files['EUR/USD.monthly.csv'], /^2024-01,1\.2,/m);
+
+    delete files['EUR/USD.monthly.csv'];
+
+    assert.equal(
+      await handler('EUR/USD.csv', '2024-01-02,1.2', io),
+      'unchanged'
+    );
+    assert.equal(files['EUR/USD.monthly.csv'], undefined);
+  });
+});
+
+describe('rebuildAggregates', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'aggregates-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should aggregate every daily dataset', async () => {
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2023-12-29,1.1\n2024-01-02,1.2\n'
+    );
+    await writeFile(
+      join(dir, 'EUR', 'USD.latest.csv'),
+      '2024-01-02,1.2\n'
+    );
+
+    assert.deepEqual(await rebuildAggregates({ dataPath: dir }), [
+      join(dir, 'EUR', 'USD.csv'),
+    ]);
+
+    assert.equal(
+      await readFile(join(dir, 'EUR', 'USD.yearly.csv'), 'utf-8'),
+      'period,mean,min,max,open,close,count\n' +
+        '2023,1.1,1.1,1.1,1.1,1.1,1\n' +
+        '2024,1.2,1.2,1.2,1.2,1.2,1\n'
+    );
+  });
+});
@@ -0,0 +1,194 @@
+import { appendLine, readLines } from './utils.js';
+
+/**
+ * @typedef {object} Thresholds
+ * @property {number} maxJump largest change from the previous rate, as
+ * a share of it, e.g. `0.1` for 10%
+ * @property {number} maxZScore largest distance from the mean of
+ * recent rates, in standard deviations
+ * @property {number} window recent rates to compute the z-score over,
+ * at least `MIN_SAMPLES`
+ */
+
+/**
+ * @type {Thresholds}
+ */
+export const DEFAULT_THRESHOLDS = {
+  maxJump: 0.1,
+  maxZScore: 6,
+  window: 30,
+};
+
+/**
+ * Fewer recent rates make the z-score meaningless.
+ */
+export const MIN_SAMPLES = 5;
+
+/**
+ * @typedef {object} Anomaly
+ * @property {string} date
+ * @property {string} base
+ * @property {string} quote
+ * @property {number} rate
+ * @property {number | null} previous last known rate
+ * @property {string[]} reasons
+ * @property {string} path dataset the rate was meant for
+ */
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+const percent = (value) => `${Number((value * 100).toPrecision(4))}%`;
+
+/**
+ * Lists why `rate` looks wrong compared to recent rates.
+ *
+ * @param {number} rate
+ * @param {number[]} history previous rates, oldest first
+ * @param {Thresholds} thresholds
+ * @returns {string[]} reasons, none if the rate looks fine
+ */
+export const detectAnomalies = (rate, history, thresholds) => {
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return [`rate must be a positive number, got ${rate}`];
+  }
+
+  const reasons = [];
+  const previous = history.at(-1);
+
+  if (previous) {
+    const jump = Math.abs(rate - previous) / previous;
+
+    if (jump > thresholds.maxJump) {
+      reasons.push(
+        `jumped ${percent(jump)} from ${previous}, over ${percent(thresholds.maxJump)}`
+      );
+    }
+  }
+
+  const recent = history.slice(-thresholds.window);
+
+  if (recent.length >= MIN_SAMPLES) {
+    const mean =
+      recent.reduce((sum, value) => sum + value, 0) / recent.length;
+
+    const deviation = Math.sqrt(
+      recent.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        recent.length
+    );
+
+    // flat history leaves changes to the jump check
+    const score = deviation ? Math.abs(rate - mean) / deviation : 0;
+
+    if (score > thresholds.maxZScore) {
+      reasons.push(
+        `z-score ${Number(score.toPrecision(4))} over the last ${recent.length} rates, over ${thresholds.maxZScore}`
+      );
+    }
+  }
+
+  return reasons;
+};
+
+/**
+ * Compares incoming rates against the recent history of their dataset,
+ * so suspicious ones are set aside for review instead of written.
+ */
+export class AnomalyDetector {
+  /**
+   * @type {Record<string, Partial<Thresholds>>}
+   */
+  #thresholds;
+
+  /**
+   * @type {string}
+   */
+  #quarantinePath;
+
+  /**
+   * @param {object} options
+   * @param {Record<string, Partial<Thresholds>>=} options.thresholds
+   * by quote currency, with `default` ones for every other currency
+   * @param {string} options.quarantinePath NDJSON file suspicious
+   * rates are appended to
+   */
+  constructor(options) {
+    this.#thresholds = options.thresholds || {};
+    this.#quarantinePath = options.quarantinePath;
+  }
+
+  /**
+   * @param {string} quote
+   * @returns {Thresholds}
+   */
+  thresholds(quote) {
+    return {
+      ...DEFAULT_THRESHOLDS,
+      ...this.#thresholds.default,
+      ...this.#thresholds[quote],
+    };
+  }
+
+  /**
+   * @param {string} path
+   * @param {string} line `date,rate` about to be written to `path`
+   * @param {import('./utils.js').FileIO} io
+   * @param {object} target
+   * @param {string} target.base
+   * @param {string} target.quote
+   * @returns {Promise<Anomaly | null>}
+   */
+  async check(path, line, io, target) {
+    const [date, value] = line.split(',');
+
+    // missing rates are written as such
+    if (value === '') {
+      return null;
+    }
+
+    const history = (await readLines(path, io))
+      .map((existing) => existing.split(','))
+      .filter(([existing, rate]) => existing < date && rate !== '')
+      .map(([, rate]) => Number(rate))
+      .filter((rate) => rate > 0);
+
+    const rate = Number(value);
+    const reasons = detectAnomalies(
+      rate,
+      history,
+      this.thresholds(target.quote)
+    );
+
+    if (!reasons.length) {
+      return null;
+    }
+
+    return {
+      date,
+      base: target.base,
+      quote: target.quote,
+      rate,
+      previous: history.at(-1) ?? null,
+      reasons,
+      path,
+    };
+  }
+
+  /**
+   * Appends anomalies to the review file, one JSON object per line.
+   *
+   * @param {Anomaly[]} anomalies
+   * @param {import('./utils.js').FileIO} io
+   * @returns {Promise<void>}
+   */
+  async quarantine(anomalies, io) {
+    for (const anomaly of anomalies) {
+      await appendLine(
+        this.#quarantinePath,
+        JSON.stringify(anomaly),
+        io
+      );
+    }
+  }
+}
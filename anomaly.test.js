@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AnomalyDetector,
+  DEFAULT_THRESHOLDS,
+  detectAnomalies,
+} from './anomaly.js';
+import { memoryIO } from './testing.js';
+
+describe('detectAnomalies', () => {
+  const history = [1.1, 1.09, 1.1, 1.11, 1.1, 1.09];
+
+  it('should accept rates in line with history', () => {
+    assert.deepEqual(
+      detectAnomalies(1.1, history, DEFAULT_THRESHOLDS),
+      []
+    );
+  });
+
+  it('should accept any rate without history', () => {
+    assert.deepEqual(
+      detectAnomalies(110, [], DEFAULT_THRESHOLDS),
+      []
+    );
+  });
+
+  it('should report zero and negative rates', () => {
+    assert.deepEqual(
+      detectAnomalies(0, history, DEFAULT_THRESHOLDS),
+      ['rate must be a positive number, got 0']
+    );
+
+    assert.deepEqual(detectAnomalies(-1, [], DEFAULT_THRESHOLDS), [
+      'rate must be a positive number, got -1',
+    ]);
+  });
+
+  it('should report jumps and outliers', () => {
+    assert.deepEqual(
+      detectAnomalies(109, history, DEFAULT_THRESHOLDS),
+      [
+        'jumped 9900% from 1.09, over 10%',
+        'z-score 15700 over the last 6 rates, over 6',
+      ]
+    );
+  });
+
+  it('should report outliers within the jump threshold', () => {
+    const thresholds = { ...DEFAULT_THRESHOLDS, maxJump: 1 };
+
+    assert.deepEqual(detectAnomalies(1.2, history, thresholds), [
+      'z-score 14.79 over the last 6 rates, over 6',
+    ]);
+  });
+
+  it('should compute z-score over the window only', () => {
+    const thresholds = {
+      ...DEFAULT_THRESHOLDS,
+      maxJump: 1,
+      window: 2,
+    };
+
+    assert.deepEqual(detectAnomalies(1.2, history, thresholds), []);
+  });
+});
+
+describe('AnomalyDetector', () => {
+  const target = { base: 'EUR', quote: 'USD' };
+
+  it('should merge thresholds by currency', () => {
+    const detector = new AnomalyDetector({
+      thresholds: {
+        default: { maxJump: 0.2 },
+        ARS: { maxJump: 0.5 },
+      },
+      quarantinePath: 'quarantine.ndjson',
+    });
+
+    assert.deepEqual(detector.thresholds('USD'), {
+      ...DEFAULT_THRESHOLDS,
+      maxJump: 0.2,
+    });
+
+    assert.equal(detector.thresholds('ARS').maxJump, 0.5);
+  });
+
+  it('should check rates against earlier rows of the dataset', async () => {
+    const io = memoryIO({
+      'USD.csv': '2024-01-01,1.1\n2024-01-02,\n2024-01-04,110\n',
+    });
+
+    const detector = new AnomalyDetector({
+      quarantinePath: 'quarantine.ndjson',
+    });
+
+    assert.equal(
+      await detector.check('USD.csv', '2024-01-03,1.11', io, target),
+      null
+    );
+
+    assert.equal(
+      await detector.check('USD.csv', '2024-01-03,', io, target),
+      null
+    );
+
+    assert.deepEqual(
+      await detector.check('USD.csv', '2024-01-03,11', io, target),
+      {
+        date: '2024-01-03',
+        base: 'EUR',
+        quote: 'USD',
+        rate: 11,
+        previous: 1.1,
+        reasons: ['jumped 900% from 1.1, over 10%'],
+        path: 'USD.csv',
+      }
+    );
+  });
+
+  it('should append anomalies to the review file', async () => {
+    const files = { 'quarantine.ndjson': '{"date":"2023-12-29"}\n' };
+
+    const detector = new AnomalyDetector({
+      quarantinePath: 'quarantine.ndjson',
+    });
+
+    await detector.quarantine(
+      [{ date: '2024-01-02' }, { date: '2024-01-03' }],
+      memoryIO(files)
+    );
+
+    assert.equal(
+      files['quarantine.ndjson'],
+      '{"date":"2023-12-29"}\n' +
+        '{"date":"2024-01-02"}\n' +
+        '{"date":"2024-01-03"}\n'
+    );
+  });
+});
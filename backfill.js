@@ -0,0 +1,223 @@
+import { readFile, rm, writeFile } from 'fs/promises';
+import {
+  dateRange,
+  isPublicationDay,
+  previousPublicationDay,
+} from './dates.js';
+import { Logger } from './logger.js';
+
+export class Backfill {
+  /**
+   * @type {import('./utils.js').Fetcher}
+   */
+  #fetcher;
+
+  /**
+   * @type {string}
+   */
+  #statePath;
+
+  /**
+   * @type {string[]}
+   */
+  #holidays;
+
+  /**
+   * @type {boolean}
+   */
+  #carry;
+
+  /**
+   * @type {Logger}
+   */
+  #logger;
+
+  /**
+   * @param {object} options
+   * @param {import('./utils.js').Fetcher} options.fetcher
+   * @param {string} options.statePath file to keep progress in, so an
+   * interrupted backfill continues where it stopped
+   * @param {string[]=} options.holidays see `isPublicationDay`
+   * @param {boolean=} options.carry whether days without publications
+   * get the last rates flagged as carried forward, instead of being
+   * skipped
+   * @param {Logger=} options.logger
+   */
+  constructor(options) {
+    this.#fetcher = options.fetcher;
+    this.#statePath = options.statePath;
+    this.#holidays = options.holidays || [];
+    this.#carry = options.carry || false;
+    this.#logger = options.logger || new Logger();
+  }
+
+  /**
+   * Fetches and writes every publication day from `from` to `to` one
+   * by one, fetching each publication once even when carried forward.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @param {object} options
+   * @param {(date: string) => string} options.url
+   * @param {(quote: string, base: string) => string} options.path
+   * @param {(path: string, line: string, io: any) => Promise<any>} options.handler
+   * @returns {Promise<void>}
+   */
+  async run(from, to, options) {
+    let last;
+
+    const dates = dateRange(from, to).filter((date) => {
+      return this.#sourceOf(date);
+    });
+
+    await this.#walk(from, to, dates, async (date) => {
+      const source = this.#sourceOf(date);
+
+      if (last?.date !== source) {
+        last = {
+          date: source,
+          data: await this.#fetcher.fetch(
+            options.url(source),
+            source
+          ),
+        };
+      }
+
+      return this.#fetcher.write(this.#carried(last.data, date), {
+        date,
+        path: options.path,
+        handler: options.handler,
+      });
+    });
+  }
+
+  /**
+   * Writes days from `from` to `to` out of an already fetched
+   * multi-day document, e.g. the ECB full history.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @param {import('./providers.js').Rates[]} days
+   * @param {object} options
+   * @param {(quote: string, base: string) => string} options.path
+   * @param {(path: string, line: string, io: any) => Promise<any>} options.handler
+   * @returns {Promise<void>}
+   */
+  async import(from, to, days, options) {
+    const byDate = new Map(days.map((day) => [day.date, day]));
+
+    const dates = dateRange(from, to).filter((date) => {
+      return byDate.has(this.#sourceOf(date));
+    });
+
+    await this.#walk(from, to, dates, (date) => {
+      const data = byDate.get(this.#sourceOf(date));
+
+      return this.#fetcher.write(this.#carried(data, date), {
+        path: options.path,
+        handler: options.handler,
+      });
+    });
+  }
+
+  /**
+   * @param {string} date
+   * @returns {string | null} date to take rates of for `date`, none
+   * if it is skipped
+   */
+  #sourceOf(date) {
+    if (isPublicationDay(date, this.#holidays)) {
+      return date;
+    }
+
+    return this.#carry
+      ? previousPublicationDay(date, this.#holidays)
+      : null;
+  }
+
+  /**
+   * @param {import('./providers.js').Rates} data
+   * @param {string} date
+   * @returns {import('./providers.js').Rates} flagged as carried
+   * forward to `date`, unless it is their own
+   */
+  #carried(data, date) {
+    return data.date === date
+      ? data
+      : { ...data, date, carried: true };
+  }
+
+  /**
+   * @param {string} from
+   * @param {string} to
+   * @param {string[]} dates
+   * @param {(date: string) => Promise<any>} step
+   * @returns {Promise<void>}
+   */
+  async #walk(from, to, dates, step) {
+    const state = await this.#readState();
+
+    const done =
+      state && state.from === from && state.to === to
+        ? state.done
+        : '';
+
+    if (done) {
+      this.#logger.info(`Resuming backfill after "${done}"`, {
+        event: 'backfill.resume',
+        done,
+      });
+    }
+
+    for (const [index, date] of dates.entries()) {
+      if (date <= done) {
+        continue;
+      }
+
+      await step(date);
+      await this.#writeState({ from, to, done: date });
+
+      this.#logger.info(
+        `Backfilled "${date}" (${index + 1}/${dates.length})`,
+        {
+          event: 'backfill.day',
+          date,
+          done: index + 1,
+          total: dates.length,
+        }
+      );
+    }
+
+    await rm(this.#statePath, { force: true });
+  }
+
+  /**
+   * @returns {Promise<{ from: string, to: string, done: string } | null>}
+   */
+  async #readState() {
+    try {
+      const content = await readFile(this.#statePath, {
+        encoding: 'utf-8',
+      });
+
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * @param {{ from: string, to: string, done: string }} state
+   * @returns {Promise<void>}
+   */
+  async #writeState(state) {
+    return writeFile(this.#statePath, JSON.stringify(state), {
+      encoding: 'utf-8',
+      flag: 'w',
+    });
+  }
+}
@@ -0,0 +1,265 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Backfill } from './backfill.js';
+
+describe('Backfill', () => {
+  let statePath;
+  let fetcher;
+  let originalConsoleInfo;
+
+  beforeEach(() => {
+    statePath = join(
+      tmpdir(),
+      `backfill-${Date.now()}-${Math.random()}.json`
+    );
+
+    fetcher = {
+      fetch: mock.fn((url, date) => {
+        return Promise.resolve({ date, rates: { USD: 1.1 } });
+      }),
+      write: mock.fn(() => Promise.resolve()),
+    };
+
+    originalConsoleInfo = console.info;
+    console.info = mock.fn();
+  });
+
+  afterEach(async () => {
+    console.info = originalConsoleInfo;
+    await rm(statePath, { force: true });
+  });
+
+  const options = {
+    url: (date) => `http://example.org/${date}`,
+    path: (quote) => `/path/${quote}.csv`,
+    handler: () => Promise.resolve(),
+  };
+
+  it('should fetch and write every day in range', async () => {
+    const backfill = new Backfill({ fetcher, statePath });
+
+    await backfill.run('2024-01-30', '2024-02-01', options);
+
+    const urls = fetcher.fetch.mock.calls.map(
+      (call) => call.arguments[0]
+    );
+
+    assert.deepEqual(urls, [
+      'http://example.org/2024-01-30',
+      'http://example.org/2024-01-31',
+      'http://example.org/2024-02-01',
+    ]);
+
+    assert.equal(
+      fetcher.write.mock.calls[0].arguments[1].handler,
+      options.handler
+    );
+
+    assert.equal(
+      fetcher.write.mock.calls[0].arguments[1].date,
+      '2024-01-30'
+    );
+  });
+
+  it('should skip days without publications', async () => {
+    const backfill = new Backfill({
+      fetcher,
+      statePath,
+      holidays: ['TARGET2'],
+    });
+
+    await backfill.run('2023-12-29', '2024-01-02', options);
+
+    assert.deepEqual(
+      fetcher.fetch.mock.calls.map((call) => call.arguments[1]),
+      ['2023-12-29', '2024-01-02']
+    );
+    assert.deepEqual(
+      fetcher.write.mock.calls.map((call) => call.arguments[0]),
+      [
+        { date: '2023-12-29', rates: { USD: 1.1 } },
+        { date: '2024-01-02', rates: { USD: 1.1 } },
+      ]
+    );
+  });
+
+  it('should carry publications forward once fetched', async () => {
+    const backfill = new Backfill({
+      fetcher,
+      statePath,
+      holidays: ['TARGET2'],
+      carry: true,
+    });
+
+    await backfill.run('2023-12-30', '2024-01-02', options);
+
+    assert.deepEqual(
+      fetcher.fetch.mock.calls.map((call) => call.arguments[0]),
+      [
+        'http://example.org/2023-12-29',
+        'http://example.org/2024-01-02',
+      ]
+    );
+    assert.deepEqual(
+      fetcher.write.mock.calls.map((call) => call.arguments[0]),
+      [
+        { date: '2023-12-30', rates: { USD: 1.1 }, carried: true },
+        { date: '2023-12-31', rates: { USD: 1.1 }, carried: true },
+        { date: '2024-01-01', rates: { USD: 1.1 }, carried: true },
+        { date: '2024-01-02', rates: { USD: 1.1 } },
+      ]
+    );
+  });
+
+  it('should remove the state file once finished', async () => {
+    const backfill = new Backfill({ fetcher, statePath });
+
+    await backfill.run('2024-01-01', '2024-01-02', options);
+
+    await assert.rejects(readFile(statePath), { code: 'ENOENT' });
+  });
+
+  it('should keep progress when a day fails', async () => {
+    fetcher.fetch.mock.mockImplementation((url, date) => {
+      return url.endsWith('2024-01-03')
+        ? Promise.reject(new Error('Network error'))
+        : Promise.resolve({ date, rates: { USD: 1.1 } });
+    });
+
+    const backfill = new Backfill({ fetcher, statePath });
+
+    await assert.rejects(
+      backfill.run('2024-01-01', '2024-01-05', options),
+      new Error('Network error')
+    );
+
+    const state = JSON.parse(await readFile(statePath, 'utf-8'));
+
+    assert.deepEqual(state, {
+      from: '2024-01-01',
+      to: '2024-01-05',
+      done: '2024-01-02',
+    });
+  });
+
+  it('should resume after the last completed day', async () => {
+    await writeFile(
+      statePath,
+      JSON.stringify({
+        from: '2024-01-01',
+        to: '2024-01-04',
+        done: '2024-01-02',
+      })
+    );
+
+    const backfill = new Backfill({ fetcher, statePath });
+
+    await backfill.run('2024-01-01', '2024-01-04', options);
+
+    const urls = fetcher.fetch.mock.calls.map(
+      (call) => call.arguments[0]
+    );
+
+    assert.deepEqual(urls, [
+      'http://example.org/2024-01-03',
+      'http://example.org/2024-01-04',
+    ]);
+  });
+
+  it('should start over when the state is for another range', async () => {
+    await writeFile(
+      statePath,
+      JSON.stringify({
+        from: '2023-01-01',
+        to: '2023-12-31',
+        done: '2023-06-30',
+      })
+    );
+
+    const backfill = new Backfill({ fetcher, statePath });
+
+    await backfill.run('2024-01-01', '2024-01-02', options);
+
+    assert.equal(fetcher.fetch.mock.calls.length, 2);
+  });
+
+  describe('import', () => {
+    const days = [
+      { base: 'EUR', date: '2024-01-05', rates: { USD: 1.0921 } },
+      { base: 'EUR', date: '2024-01-04', rates: { USD: 1.0953 } },
+      { base: 'EUR', date: '2024-01-03', rates: { USD: 1.0919 } },
+      { base: 'EUR', date: '2023-12-29', rates: { USD: 1.105 } },
+    ];
+
+    it('should write days in range from oldest', async () => {
+      const backfill = new Backfill({ fetcher, statePath });
+
+      await backfill.import(
+        '2024-01-01',
+        '2024-01-04',
+        days,
+        options
+      );
+
+      const dates = fetcher.write.mock.calls.map(
+        (call) => call.arguments[0].date
+      );
+
+      assert.deepEqual(dates, ['2024-01-03', '2024-01-04']);
+      assert.equal(fetcher.fetch.mock.calls.length, 0);
+    });
+
+    it('should carry days forward', async () => {
+      const backfill = new Backfill({
+        fetcher,
+        statePath,
+        carry: true,
+      });
+
+      await backfill.import(
+        '2024-01-05',
+        '2024-01-07',
+        days,
+        options
+      );
+
+      assert.deepEqual(
+        fetcher.write.mock.calls.map((call) => call.arguments[0]),
+        [
+          days[0],
+          { ...days[0], date: '2024-01-06', carried: true },
+          { ...days[0], date: '2024-01-07', carried: true },
+        ]
+      );
+    });
+
+    it('should resume after the last completed day', async () => {
+      await writeFile(
+        statePath,
+        JSON.stringify({
+          from: '2023-12-01',
+          to: '2024-01-31',
+          done: '2024-01-03',
+        })
+      );
+
+      const backfill = new Backfill({ fetcher, statePath });
+
+      await backfill.import(
+        '2023-12-01',
+        '2024-01-31',
+        days,
+        options
+      );
+
+      const dates = fetcher.write.mock.calls.map(
+        (call) => call.arguments[0].date
+      );
+
+      assert.deepEqual(dates, ['2024-01-04', '2024-01-05']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { redactUrl } from './logger.js';
+import { fileSystem } from './utils.js';
+
+export { redactUrl };
+
+/**
+ * @typedef {object} Recording
+ * @property {{ method: string, url: string }} request
+ * @property {object} response
+ * @property {number} response.status
+ * @property {string} response.statusText
+ * @property {Record<string, string>} response.headers
+ * @property {string} response.body
+ */
+
+/**
+ * Readable and stable fixture file name for a request, e.g.
+ * `example.org_api_2024-01-01.3f2a9c1e.json`.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export const recordingName = (url) => {
+  const redacted = redactUrl(url);
+  const { host, pathname } = new URL(redacted);
+
+  const hash = createHash('sha256')
+    .update(redacted)
+    .digest('hex')
+    .substring(0, 8);
+
+  const name = `${host}${pathname}`
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/_+$/, '');
+
+  return `${name}.${hash}.json`;
+};
+
+/**
+ * @param {Recording} recording
+ * @returns {Response}
+ */
+const toResponse = (recording) => {
+  const { body, status, statusText, headers } = recording.response;
+
+  return new Response(body || null, { status, statusText, headers });
+};
+
+/**
+ * Wraps `fetch` to save every request/response pair into `dir`, with
+ * credentials redacted from the URL.
+ *
+ * @param {object} options
+ * @param {string} options.dir
+ * @param {typeof fetch=} options.fetch
+ * @returns {typeof fetch}
+ */
+export const recordingFetch = (options) => {
+  const send = options.fetch || globalThis.fetch;
+
+  return async (url, init = {}) => {
+    const response = await send(url, init);
+
+    /**
+     * @type {Recording}
+     */
+    const recording = {
+      request: {
+        method: init.method || 'GET',
+        url: redactUrl(url),
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: await response.text(),
+      },
+    };
+
+    await fileSystem.write(
+      join(options.dir, recordingName(url)),
+      `${JSON.stringify(recording, null, 2)}\n`
+    );
+
+    return toResponse(recording);
+  };
+};
+
+/**
+ * `fetch` replacement serving responses saved by `recordingFetch`,
+ * without touching the network.
+ *
+ * @param {object} options
+ * @param {string} options.dir
+ * @returns {typeof fetch}
+ */
+export const replayingFetch = (options) => {
+  return async (url) => {
+    const path = join(options.dir, recordingName(url));
+    const content = await fileSystem.read(path);
+
+    if (!content) {
+      throw new Error(
+        `No recording for "${redactUrl(url)}" in "${options.dir}"`
+      );
+    }
+
+    return toResponse(JSON.parse(content));
+  };
+};
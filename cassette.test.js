@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  recordingFetch,
+  recordingName,
+  redactUrl,
+  replayingFetch,
+} from './cassette.js';
+import { FixerProvider } from './providers.js';
+import { Fetcher, HttpClient, upsertLine } from './utils.js';
+
+const fixtures = fileURLToPath(
+  new URL('./fixtures/http', import.meta.url)
+);
+
+describe('redactUrl', () => {
+  it('should redact credentials from query', () => {
+    assert.equal(
+      redactUrl(
+        'https://example.org/api/latest?access_key=secret&base=EUR'
+      ),
+      'https://example.org/api/latest?access_key=REDACTED&base=EUR'
+    );
+
+    assert.equal(
+      redactUrl('https://example.org/latest.json?APP_ID=secret'),
+      'https://example.org/latest.json?APP_ID=REDACTED'
+    );
+  });
+
+  it('should keep URLs without credentials', () => {
+    assert.equal(
+      redactUrl('https://example.org/eurofxref-daily.xml'),
+      'https://example.org/eurofxref-daily.xml'
+    );
+  });
+});
+
+describe('recordingName', () => {
+  it('should name recordings after host and path', () => {
+    assert.match(
+      recordingName(
+        'https://example.org/api/2024-01-02?access_key=a'
+      ),
+      /^example\.org_api_2024-01-02\.[0-9a-f]{8}\.json$/
+    );
+  });
+
+  it('should not depend on credentials', () => {
+    assert.equal(
+      recordingName('https://example.org/api/latest?access_key=a'),
+      recordingName('https://example.org/api/latest?access_key=b')
+    );
+  });
+
+  it('should tell apart other query parameters', () => {
+    assert.notEqual(
+      recordingName('https://example.org/api/latest?base=EUR'),
+      recordingName('https://example.org/api/latest?base=USD')
+    );
+  });
+});
+
+describe('recordingFetch and replayingFetch', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cassette-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should record responses without credentials', async () => {
+    const upstream = mock.fn(async () => {
+      return new Response('{"date":"2024-01-02"}', {
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json' },
+      });
+    });
+
+    const record = recordingFetch({ dir, fetch: upstream });
+    const url =
+      'https://example.org/api/2024-01-02?access_key=secret';
+
+    const response = await record(url, { signal: undefined });
+
+    assert.deepEqual(await response.json(), { date: '2024-01-02' });
+    assert.equal(upstream.mock.calls[0].arguments[0], url);
+
+    const [file] = await readdir(dir);
+    const content = await readFile(join(dir, file), 'utf-8');
+
+    assert(!content.includes('secret'), 'API key should be redacted');
+    assert.deepEqual(JSON.parse(content).request, {
+      method: 'GET',
+      url: 'https://example.org/api/2024-01-02?access_key=REDACTED',
+    });
+  });
+
+  it('should replay recorded responses', async () => {
+    const record = recordingFetch({
+      dir,
+      fetch: async () => {
+        return new Response('Too Many Requests', {
+          status: 429,
+          statusText: 'Too Many Requests',
+          headers: { 'retry-after': '60' },
+        });
+      },
+    });
+
+    await record('https://example.org/api/latest?access_key=old');
+
+    const replay = replayingFetch({ dir });
+    const response = await replay(
+      'https://example.org/api/latest?access_key=new'
+    );
+
+    assert.equal(response.status, 429);
+    assert.equal(response.statusText, 'Too Many Requests');
+    assert.equal(response.headers.get('retry-after'), '60');
+    assert.equal(await response.text(), 'Too Many Requests');
+  });
+
+  it('should throw for requests without recording', async () => {
+    const replay = replayingFetch({ dir });
+
+    await assert.rejects(
+      replay('https://example.org/api/latest?access_key=secret'),
+      new Error(
+        'No recording for ' +
+          '"https://example.org/api/latest?access_key=REDACTED" ' +
+          `in "${dir}"`
+      )
+    );
+  });
+
+  it('should reproduce a fetcher run from fixtures', async () => {
+    const provider = new FixerProvider({
+      baseUrl: 'https://example.org/api',
+      apiKey: 'any',
+    });
+
+    const fetcher = new Fetcher({
+      httpClient: new HttpClient({
+        fetch: replayingFetch({ dir: fixtures }),
+      }),
+      quotes: ['GBP', 'USD'],
+      provider,
+      bases: ['USD'],
+    });
+
+    await fetcher.run(provider.url('2024-01-02'), {
+      date: '2024-01-02',
+      path: (quote, base) => join(dir, base, `${quote}.csv`),
+      handler: upsertLine,
+    });
+
+    assert.equal(
+      await readFile(join(dir, 'EUR', 'USD.csv'), 'utf-8'),
+      '2024-01-02,1.0956\n'
+    );
+
+    assert.equal(
+      await readFile(join(dir, 'USD', 'GBP.csv'), 'utf-8'),
+      '2024-01-02,0.7926067908\n'
+    );
+  });
+});
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+import { once } from 'events';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { rebuildAggregates } from './aggregates.js';
+import { ConfigError, loadConfig, SETTINGS } from './config.js';
+import { isDate } from './dates.js';
+import { formatDiff } from './dryrun.js';
+import { backfill, fetchRates } from './index.js';
+import { Logger } from './logger.js';
+import { writeManifest } from './manifest.js';
+import { RateStore } from './rates.js';
+import { startServer } from './server.js';
+import { verifyDatasets } from './verify.js';
+
+export class UsageError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * @typedef {object} Command
+ * @property {string} usage
+ * @property {string} description
+ * @property {boolean=} dryRun whether it takes `--dry-run`, and
+ * `--json` along
+ * @property {(config: import('./config.js').Config, args: string[], options: { dryRun: boolean, json: boolean }) => Promise<number | void>} run
+ * resolves to the exit code, if not 0
+ */
+
+/**
+ * @type {Record<string, Command>}
+ */
+const COMMANDS = {
+  fetch: {
+    usage: 'fetch [--dry-run [--json]]',
+    description: 'fetch rates of the target date and latest rates',
+    dryRun: true,
+    run: async (config, args, { dryRun, json }) => {
+      const diffs = await fetchRates(config, { dryRun });
+
+      if (dryRun) {
+        console.log(
+          json ? JSON.stringify(diffs, null, 2) : formatDiff(diffs)
+        );
+      }
+    },
+  },
+  backfill: {
+    usage: 'backfill <from> <to>',
+    description:
+      'fetch every day of a date range, resuming if stopped',
+    run: async (config, [from, to]) => {
+      if (!isDate(from) || !isDate(to)) {
+        throw new UsageError('backfill expects two YYYY-MM-DD dates');
+      }
+
+      await backfill(config, from, to);
+    },
+  },
+  verify: {
+    usage: 'verify',
+    description: 'audit datasets, printing a JSON report',
+    run: async (config) => {
+      const report = await verifyDatasets({
+        dataPath: config.dataPath,
+        quotes: config.quotes,
+        bases: config.bases,
+        holidays: config.holidays,
+      });
+
+      console.log(JSON.stringify(report, null, 2));
+
+      return report.ok ? 0 : 1;
+    },
+  },
+  manifest: {
+    usage: 'manifest',
+    description: 'regenerate the index.json manifest of datasets',
+    run: async (config) => {
+      await writeManifest({ dataPath: config.dataPath });
+    },
+  },
+  aggregate: {
+    usage: 'aggregate',
+    description: 'rebuild monthly and yearly aggregates of datasets',
+    run: async (config) => {
+      const paths = await rebuildAggregates({
+        dataPath: config.dataPath,
+      });
+
+      console.info(`Aggregated ${paths.length} dataset(s)`);
+    },
+  },
+  serve: {
+    usage: 'serve',
+    description: 'serve datasets over a read-only HTTP API',
+    run: async (config) => {
+      const logger = new Logger({
+        level: config.logLevel,
+        format: config.logFormat,
+        fields: { command: 'serve' },
+      });
+
+      const server = await startServer({
+        dataPath: config.dataPath,
+        port: config.port,
+        host: config.host,
+        logger,
+      });
+
+      logger.info(
+        `Serving "${config.dataPath}" on http://${config.host}:${server.address().port}`
+      );
+
+      process.once('SIGINT', () => server.close());
+      process.once('SIGTERM', () => server.close());
+
+      await once(server, 'close');
+    },
+  },
+  convert: {
+    usage: 'convert <amount> <from> <to> [date]',
+    description: 'convert an amount with stored rates',
+    run: async (config, [amount, from, to, date]) => {
+      if (!from || !to || !Number.isFinite(Number(amount))) {
+        throw new UsageError(
+          'convert expects an amount and two currency codes'
+        );
+      }
+
+      if (date !== undefined && !isDate(date)) {
+        throw new UsageError(
+          `"${date}" is not a valid YYYY-MM-DD date`
+        );
+      }
+
+      const store = new RateStore({ dataPath: config.dataPath });
+      const conversion = await store.convert(
+        Number(amount),
+        from.toUpperCase(),
+        to.toUpperCase(),
+        date
+      );
+
+      const note = conversion.fallback ? `, closest to ${date}` : '';
+
+      console.log(
+        `${conversion.amount} ${conversion.from} = ${conversion.result} ${conversion.to} (${conversion.rate} on ${conversion.date}${note})`
+      );
+    },
+  },
+};
+
+/**
+ * @returns {string}
+ */
+export const usage = () => {
+  const commands = Object.values(COMMANDS).map((command) => {
+    return `  ${command.usage.padEnd(38)}${command.description}`;
+  });
+
+  const options = Object.values(SETTINGS).map((setting) => {
+    const flag = `--${setting.flag} <value>`;
+
+    return `  ${flag.padEnd(38)}${setting.description} (${setting.env})`;
+  });
+
+  return [
+    'Usage: asteroids-fetcher <command> [options]',
+    '',
+    'Commands:',
+    ...commands,
+    '',
+    'Options:',
+    `  ${'-c, --config <path>'.padEnd(38)}JSON config file (AF_CONFIG)`,
+    `  ${'-h, --help'.padEnd(38)}print this message`,
+    `  ${'--dry-run'.padEnd(38)}fetch: print changes instead of writing them`,
+    `  ${'--json'.padEnd(38)}print dry-run changes as JSON`,
+    ...options,
+    '',
+    'Flags take precedence over environment variables, which take',
+    'precedence over the config file.',
+  ].join('\n');
+};
+
+/**
+ * @param {string[]} argv
+ * @returns {{ values: Record<string, any>, positionals: string[] }}
+ * @throws {UsageError}
+ */
+const parse = (argv) => {
+  const options = {
+    config: { type: 'string', short: 'c' },
+    help: { type: 'boolean', short: 'h' },
+    'dry-run': { type: 'boolean' },
+    json: { type: 'boolean' },
+  };
+
+  for (const setting of Object.values(SETTINGS)) {
+    options[setting.flag] = { type: 'string' };
+  }
+
+  try {
+    return parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+};
+
+/**
+ * Runs a command line, e.g. `['backfill', '2024-01-01', '2024-01-31']`.
+ *
+ * @param {string[]} argv
+ * @param {Record<string, string | undefined>} env
+ * @returns {Promise<number>} exit code: 1 on failure, 2 on usage
+ * errors
+ */
+export const run = async (argv, env) => {
+  try {
+    const { values, positionals } = parse(argv);
+    const [name, ...args] = positionals;
+
+    if (values.help || !name || name === 'help') {
+      console.log(usage());
+
+      return 0;
+    }
+
+    if (!Object.hasOwn(COMMANDS, name)) {
+      throw new UsageError(`Unknown command "${name}"`);
+    }
+
+    const {
+      config: path,
+      'dry-run': dryRun = false,
+      json = false,
+      ...flags
+    } = values;
+
+    if (dryRun && !COMMANDS[name].dryRun) {
+      throw new UsageError(`${name} does not take --dry-run`);
+    }
+
+    if (json && !dryRun) {
+      throw new UsageError('--json only goes with --dry-run');
+    }
+
+    const config = await loadConfig({
+      flags,
+      env,
+      path: path || env.AF_CONFIG,
+    });
+
+    return (
+      (await COMMANDS[name].run(config, args, {
+        dryRun,
+        json,
+      })) || 0
+    );
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${usage()}`);
+
+      return 2;
+    }
+
+    console.error(
+      error instanceof ConfigError
+        ? error.message
+        : error.stack || error
+    );
+
+    return 1;
+  }
+};
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  process.exitCode = await run(process.argv.slice(2), process.env);
+}
@@ -0,0 +1,199 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { run, usage } from './cli.js';
+
+/**
+ * Settings the default provider requires.
+ */
+const credentials = {
+  AF_API_BASE_URL: 'https://example.org/api',
+  AF_API_KEY: 'secret',
+};
+
+describe('run', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cli-'));
+
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(async () => {
+    console.log.mock.restore();
+    console.error.mock.restore();
+
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should print usage', async () => {
+    assert.equal(await run(['--help'], {}), 0);
+    assert.equal(await run([], {}), 0);
+
+    assert.equal(console.log.mock.calls[0].arguments[0], usage());
+    assert.match(usage(), /backfill <from> <to>/);
+    assert.match(usage(), /--data-path <value>/);
+  });
+
+  it('should reject unknown commands and flags', async () => {
+    assert.equal(await run(['sync'], {}), 2);
+    assert.equal(await run(['fetch', '--verbose'], {}), 2);
+
+    assert.match(
+      console.error.mock.calls[0].arguments[0],
+      /^Unknown command "sync"\n\nUsage:/
+    );
+  });
+
+  it('should reject invalid arguments', async () => {
+    assert.equal(
+      await run(['backfill', '2024-01-01'], credentials),
+      2
+    );
+    assert.equal(await run(['verify', '--dry-run'], {}), 2);
+    assert.equal(await run(['fetch', '--json'], {}), 2);
+    assert.equal(
+      await run(['convert', 'ten', 'EUR', 'USD'], credentials),
+      2
+    );
+  });
+
+  it('should fail on invalid config', async () => {
+    assert.equal(await run(['fetch'], {}), 1);
+
+    assert.match(
+      console.error.mock.calls[0].arguments[0],
+      /^Invalid config, 2 problem\(s\):\n {2}apiBaseUrl: is required for fixer/
+    );
+
+    assert.equal(await run(['fetch'], { AF_PROVIDER: 'yahoo' }), 1);
+
+    assert.match(
+      console.error.mock.calls[1].arguments[0],
+      /^Invalid config, 1 problem\(s\):\n {2}provider: must be one of/
+    );
+  });
+
+  it('should convert with settings from config file', async () => {
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-01,1.1\n2024-01-02,1.2\n'
+    );
+
+    const config = join(dir, 'config.json');
+    await writeFile(
+      config,
+      JSON.stringify({
+        dataPath: dir,
+        apiBaseUrl: 'https://example.org/api',
+        apiKey: 'secret',
+      })
+    );
+
+    assert.equal(
+      await run(['convert', '10', 'eur', 'usd', '-c', config], {}),
+      0
+    );
+
+    assert.equal(
+      await run(['convert', '10', 'EUR', 'USD', '2024-01-01'], {
+        AF_CONFIG: config,
+      }),
+      0
+    );
+
+    assert.equal(
+      await run(['convert', '10', 'USD', 'EUR', '2024-01-06'], {
+        AF_CONFIG: config,
+      }),
+      0
+    );
+
+    assert.deepEqual(
+      console.log.mock.calls.map((call) => call.arguments[0]),
+      [
+        '10 EUR = 12 USD (1.2 on 2024-01-02)',
+        '10 EUR = 11 USD (1.1 on 2024-01-01)',
+        '10 USD = 8.333333333 EUR (0.8333333333 on 2024-01-02, closest to 2024-01-06)',
+      ]
+    );
+  });
+
+  it('should exit with failure when verify finds errors', async () => {
+    const env = {
+      ...credentials,
+      AF_DATA_PATH: dir,
+      AF_QUOTES: 'USD',
+      AF_BASES: 'EUR',
+    };
+
+    assert.equal(await run(['verify'], env), 1);
+
+    const report = JSON.parse(console.log.mock.calls[0].arguments[0]);
+
+    assert.equal(report.ok, false);
+    assert.equal(report.issues[0].code, 'missing-file');
+
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(join(dir, 'EUR', 'USD.csv'), '2024-01-01,1.1\n');
+
+    assert.equal(await run(['verify'], env), 0);
+  });
+
+  it('should print dry-run changes alone on stdout', async () => {
+    const fixtures = new URL('./fixtures/http', import.meta.url)
+      .pathname;
+
+    const argv = [
+      'fetch',
+      '--dry-run',
+      '--json',
+      '--log-format',
+      'json',
+    ];
+
+    assert.equal(
+      await run(argv, {
+        AF_PROVIDER: 'fixer',
+        AF_API_BASE_URL: 'https://example.org/api',
+        AF_API_KEY: 'secret',
+        AF_QUOTES: 'USD',
+        AF_BASES: 'EUR',
+        AF_DATE: '2024-01-03',
+        AF_HTTP_MODE: 'replay',
+        AF_HTTP_FIXTURES: fixtures,
+        AF_DATA_PATH: dir,
+        AF_QUOTA_PATH: join(dir, 'quota.json'),
+      }),
+      0
+    );
+
+    assert.equal(console.log.mock.callCount(), 1);
+
+    const diffs = JSON.parse(console.log.mock.calls[0].arguments[0]);
+
+    assert.deepEqual(diffs[0].added, [
+      { date: '2024-01-03', rate: 1.0919 },
+    ]);
+    assert.ok(
+      console.error.mock.calls.some((call) => {
+        return JSON.parse(call.arguments[0]).level === 'info';
+      })
+    );
+  });
+
+  it('should fail when no rate is stored', async () => {
+    assert.equal(
+      await run(['convert', '1', 'EUR', 'USD'], {
+        ...credentials,
+        AF_DATA_PATH: dir,
+      }),
+      1
+    );
+  });
+});
@@ -0,0 +1,786 @@
+import { DEFAULT_THRESHOLDS, MIN_SAMPLES } from './anomaly.js';
+import { getCurrency } from './currencies.js';
+import { HOLIDAYS, isDate, isTimeZone } from './dates.js';
+import { formats } from './formats.js';
+import { LEVELS } from './logger.js';
+import {
+  EVENTS as NOTIFICATION_EVENTS,
+  FORMATS as NOTIFICATION_FORMATS,
+} from './notify.js';
+import { providers } from './providers.js';
+import { fileSystem } from './utils.js';
+
+const CURRENCIES = `
+  AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BHD BIF BMD BND
+  BOB BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE
+  CZK DJF DKK DOP DZD EGP ETB EUR FJD GBP GEL GHS GMD GNF GTQ GYD
+  HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR
+  KMF KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MOP
+  MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PEN PGK
+  PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SOS
+  SRD SZL THB TJS TMT TND TRY TTD TWD TZS UAH UGX USD UYU UZS VES
+  VND XAF XCD XOF XPF YER ZAR ZMW
+`;
+
+/**
+ * @typedef {object} Config
+ * @property {string} provider
+ * @property {string=} apiBaseUrl
+ * @property {string} apiKey
+ * @property {string[]} quotes
+ * @property {string=} base currency rates are expected against,
+ * the provider's default one if missing
+ * @property {string[]} bases base currencies to write datasets for,
+ * besides the one rates are fetched in
+ * @property {string=} date target date of `fetch`, the last one rates
+ * are out for in `timeZone` by default
+ * @property {string} timeZone IANA time zone rates are published in
+ * @property {string} cutoff `HH:MM` time rates are out by in `timeZone`
+ * @property {string[]} holidays weekdays rates are not published on,
+ * as names of `HOLIDAYS` lists or dates
+ * @property {'skip' | 'carry'} nonPublication whether to skip target
+ * dates rates are not published on, or to carry the last ones forward
+ * @property {string} dataPath
+ * @property {string[]} formats dataset formats written besides CSV,
+ * `json` adding a combined `latest.json` per base
+ * @property {string} backfillStatePath
+ * @property {string} quotaPath
+ * @property {number} monthlyQuota
+ * @property {number} rateLimit requests per minute
+ * @property {number} retries
+ * @property {number} timeout
+ * @property {number} backoff
+ * @property {number} maxBackoff
+ * @property {number} jitter
+ * @property {'live' | 'record' | 'replay'} httpMode
+ * @property {string} fixturesPath
+ * @property {string} quarantinePath
+ * @property {number} port of the `serve` API
+ * @property {string} host of the `serve` API
+ * @property {Record<string, Partial<import('./anomaly.js').Thresholds>>} anomalyThresholds
+ * by quote currency, `default` applying to any other one
+ * @property {import('./logger.js').Level} logLevel
+ * @property {'text' | 'json'} logFormat
+ * @property {string} reportPath run report of `fetch` and `backfill`
+ * @property {string=} metricsPath Prometheus textfile of the last
+ * `fetch` and `backfill` runs, none if missing
+ * @property {import('./notify.js').Target[]} notifications webhooks
+ * to notify of failed, partial or stale runs
+ * @property {number} staleAfter seconds since the last date of a
+ * daily dataset before it counts as stale
+ */
+
+/**
+ * @typedef {object} Setting
+ * @property {'string' | 'list' | 'number' | 'json'} type
+ * @property {string} env
+ * @property {string} flag
+ * @property {string} description
+ * @property {() => any} fallback
+ * @property {string[]=} choices
+ * @property {boolean=} currencies whether a list holds currency codes
+ */
+
+/**
+ * Providers that need an API URL and key, unlike the ECB.
+ */
+const KEYED_PROVIDERS = ['fixer', 'openexchangerates'];
+
+/**
+ * Every setting may come, by order of precedence, from a command line
+ * flag, an environment variable or a config file under its own name,
+ * falling back to its default.
+ *
+ * @type {Record<keyof Config, Setting>}
+ */
+export const SETTINGS = {
+  provider: {
+    type: 'string',
+    env: 'AF_PROVIDER',
+    flag: 'provider',
+    description: 'rates provider',
+    fallback: () => 'fixer',
+    choices: Object.keys(providers),
+  },
+  apiBaseUrl: {
+    type: 'string',
+    env: 'AF_API_BASE_URL',
+    flag: 'api-base-url',
+    description: 'provider API URL, e.g. https://example.org/api',
+    fallback: () => undefined,
+  },
+  apiKey: {
+    type: 'string',
+    env: 'AF_API_KEY',
+    flag: 'api-key',
+    description: 'provider API key',
+    fallback: () => '',
+  },
+  quotes: {
+    type: 'list',
+    currencies: true,
+    env: 'AF_QUOTES',
+    flag: 'quotes',
+    description: 'currency codes to keep, e.g. USD,GBP',
+    fallback: () => CURRENCIES.trim().split(/\s+/),
+  },
+  base: {
+    type: 'string',
+    env: 'AF_BASE',
+    flag: 'base',
+    description:
+      'base currency of provider rates, its default one if missing',
+    fallback: () => undefined,
+  },
+  bases: {
+    type: 'list',
+    currencies: true,
+    env: 'AF_BASES',
+    flag: 'bases',
+    description: 'other base currencies to write datasets for',
+    fallback: () => ['EUR', 'USD', 'GBP'],
+  },
+  date: {
+    type: 'string',
+    env: 'AF_DATE',
+    flag: 'date',
+    description: 'date to fetch, the last one rates are out for',
+    fallback: () => undefined,
+  },
+  timeZone: {
+    type: 'string',
+    env: 'AF_TIME_ZONE',
+    flag: 'time-zone',
+    description: 'IANA time zone rates are published in',
+    fallback: () => 'Europe/Berlin',
+  },
+  cutoff: {
+    type: 'string',
+    env: 'AF_CUTOFF',
+    flag: 'cutoff',
+    description: 'HH:MM time rates of the day are out by',
+    // the ECB publishes reference rates around 16:00 CET
+    fallback: () => '17:00',
+  },
+  holidays: {
+    type: 'list',
+    env: 'AF_HOLIDAYS',
+    flag: 'holidays',
+    description: `holiday lists (${Object.keys(HOLIDAYS).join(', ')}) or YYYY-MM-DD dates without rates`,
+    fallback: () => ['TARGET2'],
+  },
+  nonPublication: {
+    type: 'string',
+    env: 'AF_NON_PUBLICATION',
+    flag: 'non-publication',
+    description: 'skip days without rates, or carry the last ones',
+    fallback: () => 'skip',
+    choices: ['skip', 'carry'],
+  },
+  dataPath: {
+    type: 'string',
+    env: 'AF_DATA_PATH',
+    flag: 'data-path',
+    description: 'datasets directory',
+    fallback: () => './data/v1',
+  },
+  formats: {
+    type: 'list',
+    env: 'AF_FORMATS',
+    flag: 'formats',
+    description: 'dataset formats besides CSV, e.g. json,ndjson',
+    fallback: () => [],
+    choices: Object.keys(formats),
+  },
+  backfillStatePath: {
+    type: 'string',
+    env: 'AF_BACKFILL_STATE_PATH',
+    flag: 'backfill-state-path',
+    description: 'backfill progress file',
+    fallback: () => './data/backfill.json',
+  },
+  quotaPath: {
+    type: 'string',
+    env: 'AF_QUOTA_PATH',
+    flag: 'quota-path',
+    description: 'request quota ledger file',
+    fallback: () => './data/quota.json',
+  },
+  monthlyQuota: {
+    type: 'number',
+    env: 'AF_MONTHLY_QUOTA',
+    flag: 'monthly-quota',
+    description: 'provider requests allowed per month',
+    fallback: () => 1000,
+  },
+  rateLimit: {
+    type: 'number',
+    env: 'AF_RATE_LIMIT',
+    flag: 'rate-limit',
+    description: 'provider requests allowed per minute',
+    fallback: () => 10,
+  },
+  retries: {
+    type: 'number',
+    env: 'AF_RETRIES',
+    flag: 'retries',
+    description: 'retries of failed requests',
+    fallback: () => 3,
+  },
+  timeout: {
+    type: 'number',
+    env: 'AF_TIMEOUT',
+    flag: 'timeout',
+    description: 'request timeout, in milliseconds',
+    fallback: () => 2_000,
+  },
+  backoff: {
+    type: 'number',
+    env: 'AF_BACKOFF',
+    flag: 'backoff',
+    description: 'first retry delay, in milliseconds',
+    fallback: () => 3_000,
+  },
+  maxBackoff: {
+    type: 'number',
+    env: 'AF_MAX_BACKOFF',
+    flag: 'max-backoff',
+    description: 'longest retry delay, in milliseconds',
+    fallback: () => 60_000,
+  },
+  jitter: {
+    type: 'number',
+    env: 'AF_JITTER',
+    flag: 'jitter',
+    description: 'share of retry delays to randomize, 0 to 1',
+    fallback: () => 0.2,
+  },
+  httpMode: {
+    type: 'string',
+    env: 'AF_HTTP_MODE',
+    flag: 'http-mode',
+    description: 'record responses to or replay them from fixtures',
+    fallback: () => 'live',
+    choices: ['live', 'record', 'replay'],
+  },
+  fixturesPath: {
+    type: 'string',
+    env: 'AF_HTTP_FIXTURES',
+    flag: 'fixtures-path',
+    description: 'recorded responses directory',
+    fallback: () => './fixtures/http',
+  },
+  quarantinePath: {
+    type: 'string',
+    env: 'AF_QUARANTINE_PATH',
+    flag: 'quarantine-path',
+    description: 'review file for suspicious rates',
+    fallback: () => './data/quarantine.ndjson',
+  },
+  port: {
+    type: 'number',
+    env: 'AF_PORT',
+    flag: 'port',
+    description: 'port to serve datasets on',
+    fallback: () => 8080,
+  },
+  host: {
+    type: 'string',
+    env: 'AF_HOST',
+    flag: 'host',
+    description: 'address to serve datasets on',
+    fallback: () => '127.0.0.1',
+  },
+  anomalyThresholds: {
+    type: 'json',
+    env: 'AF_ANOMALY_THRESHOLDS',
+    flag: 'anomaly-thresholds',
+    description:
+      'suspicious rate thresholds by currency, e.g. {"ARS":{"maxJump":0.5}}',
+    fallback: () => ({}),
+  },
+  logLevel: {
+    type: 'string',
+    env: 'AF_LOG_LEVEL',
+    flag: 'log-level',
+    description: 'least severe log entries printed',
+    fallback: () => 'info',
+    choices: LEVELS,
+  },
+  logFormat: {
+    type: 'string',
+    env: 'AF_LOG_FORMAT',
+    flag: 'log-format',
+    description: 'plain text or one JSON object per line',
+    fallback: () => 'text',
+    choices: ['text', 'json'],
+  },
+  reportPath: {
+    type: 'string',
+    env: 'AF_REPORT_PATH',
+    flag: 'report-path',
+    description: 'JSON report of the last fetch or backfill run',
+    fallback: () => './data/report.json',
+  },
+  metricsPath: {
+    type: 'string',
+    env: 'AF_METRICS_PATH',
+    flag: 'metrics-path',
+    description: 'Prometheus .prom file written after each run',
+    fallback: () => undefined,
+  },
+  notifications: {
+    type: 'json',
+    env: 'AF_NOTIFICATIONS',
+    flag: 'notifications',
+    description:
+      'webhooks to notify, e.g. [{"url":"https://hooks.slack.com/...","format":"slack"}]',
+    fallback: () => [],
+  },
+  staleAfter: {
+    type: 'number',
+    env: 'AF_STALE_AFTER',
+    flag: 'stale-after',
+    description: 'seconds before datasets count as stale',
+    fallback: () => 4 * 24 * 60 * 60,
+  },
+};
+
+/**
+ * @typedef {import('./validation.js').Problem} Problem
+ */
+
+export class ConfigError extends Error {
+  /**
+   * @type {Problem[]}
+   */
+  problems;
+
+  /**
+   * @param {Problem[]} problems
+   */
+  constructor(problems) {
+    const list = problems
+      .map((problem) => `  ${problem.field}: ${problem.message}`)
+      .join('\n');
+
+    super(`Invalid config, ${problems.length} problem(s):\n${list}`);
+
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {string} value e.g. `USD,GBP` or `USD GBP`
+ * @returns {string[]}
+ */
+const parseList = (value) => {
+  return value.split(/[\s,]+/).filter(Boolean);
+};
+
+/**
+ * Converts a flag or environment variable to the setting type; config
+ * file values are expected to be typed already.
+ *
+ * @param {Setting} setting
+ * @param {string} value
+ * @returns {any}
+ */
+const parseValue = (setting, value) => {
+  switch (setting.type) {
+    case 'list':
+      return parseList(value);
+    case 'number':
+      return value.trim() === '' ? NaN : Number(value);
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+};
+
+/**
+ * @param {any} value
+ * @returns {Problem[]}
+ */
+const validateThresholds = (value) => {
+  const field = 'anomalyThresholds';
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [
+      {
+        field,
+        message: `must be an object, got ${JSON.stringify(value)}`,
+      },
+    ];
+  }
+
+  const problems = [];
+
+  for (const [currency, thresholds] of Object.entries(value)) {
+    if (currency !== 'default' && !/^[A-Z]{3}$/.test(currency)) {
+      problems.push({
+        field: `${field}.${currency}`,
+        message: 'must be a currency code or "default"',
+      });
+
+      continue;
+    }
+
+    if (!thresholds || typeof thresholds !== 'object') {
+      problems.push({
+        field: `${field}.${currency}`,
+        message: `must be an object, got ${JSON.stringify(thresholds)}`,
+      });
+
+      continue;
+    }
+
+    for (const [name, threshold] of Object.entries(thresholds)) {
+      if (!Object.hasOwn(DEFAULT_THRESHOLDS, name)) {
+        problems.push({
+          field: `${field}.${currency}.${name}`,
+          message: 'is not a known threshold',
+        });
+      } else if (typeof threshold !== 'number' || !(threshold >= 0)) {
+        problems.push({
+          field: `${field}.${currency}.${name}`,
+          message: `must be a non-negative number, got ${threshold}`,
+        });
+      } else if (
+        name === 'window' &&
+        (!Number.isInteger(threshold) || threshold < MIN_SAMPLES)
+      ) {
+        problems.push({
+          field: `${field}.${currency}.${name}`,
+          message: `must be an integer of at least ${MIN_SAMPLES}, got ${threshold}`,
+        });
+      }
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * @param {any} value
+ * @returns {Problem[]}
+ */
+const validateNotifications = (value) => {
+  const field = 'notifications';
+
+  if (!Array.isArray(value)) {
+    return [
+      {
+        field,
+        message: `must be a list, got ${JSON.stringify(value)}`,
+      },
+    ];
+  }
+
+  const problems = [];
+
+  /**
+   * @param {string} path
+   * @param {string} message
+   */
+  const report = (path, message) => {
+    problems.push({ field: `${field}.${path}`, message });
+  };
+
+  value.forEach((target, index) => {
+    if (!target || typeof target !== 'object') {
+      report(
+        index,
+        `must be an object, got ${JSON.stringify(target)}`
+      );
+
+      return;
+    }
+
+    if (!URL.canParse(target.url) || !/^https?:/.test(target.url)) {
+      report(
+        `${index}.url`,
+        `must be an HTTP URL, got "${target.url}"`
+      );
+    }
+
+    const format = target.format ?? 'generic';
+
+    if (!NOTIFICATION_FORMATS.includes(format)) {
+      report(
+        `${index}.format`,
+        `must be one of: ${NOTIFICATION_FORMATS.join(', ')}, got "${format}"`
+      );
+    }
+
+    for (const event of target.events ?? []) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        report(
+          `${index}.events`,
+          `must list some of: ${NOTIFICATION_EVENTS.join(', ')}, got "${event}"`
+        );
+      }
+    }
+
+    for (const event of Object.keys(target.templates ?? {})) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        report(`${index}.templates.${event}`, 'is not a known event');
+      }
+    }
+
+    if (format === 'email-relay') {
+      for (const name of ['from', 'to']) {
+        if (typeof target[name] !== 'string' || !target[name]) {
+          report(`${index}.${name}`, 'is required for email-relay');
+        }
+      }
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * @param {Config} config
+ * @returns {Problem[]}
+ */
+export const validateConfig = (config) => {
+  const problems = [];
+
+  /**
+   * @param {keyof Config} field
+   * @param {string} message
+   */
+  const report = (field, message) => {
+    problems.push({ field, message });
+  };
+
+  for (const [field, setting] of Object.entries(SETTINGS)) {
+    const value = config[field];
+
+    if (setting.type === 'number') {
+      if (typeof value !== 'number' || !(value >= 0)) {
+        report(field, `must be a non-negative number, got ${value}`);
+      }
+    }
+
+    if (setting.type === 'list' && setting.choices) {
+      if (!Array.isArray(value)) {
+        report(field, `must be a list, got ${JSON.stringify(value)}`);
+      } else {
+        for (const item of value) {
+          if (!setting.choices.includes(item)) {
+            report(
+              field,
+              `must list some of: ${setting.choices.join(', ')}, got "${item}"`
+            );
+          }
+        }
+      }
+    } else if (setting.type === 'list' && setting.currencies) {
+      if (!Array.isArray(value) || !value.length) {
+        report(field, 'must list at least one currency');
+      } else {
+        for (const code of value) {
+          if (!/^[A-Z]{3}$/.test(code)) {
+            report(field, `must list currency codes, got "${code}"`);
+          } else if (!getCurrency(code)) {
+            report(field, `"${code}" is not an ISO 4217 currency`);
+          }
+        }
+      }
+    }
+
+    if (setting.type === 'string' && value !== undefined) {
+      if (typeof value !== 'string') {
+        report(
+          field,
+          `must be a string, got ${JSON.stringify(value)}`
+        );
+      } else if (
+        setting.choices &&
+        !setting.choices.includes(value)
+      ) {
+        report(
+          field,
+          `must be one of: ${setting.choices.join(', ')}, got "${value}"`
+        );
+      }
+    }
+  }
+
+  problems.push(...validateThresholds(config.anomalyThresholds));
+  problems.push(...validateNotifications(config.notifications));
+
+  if (typeof config.date === 'string' && !isDate(config.date)) {
+    report('date', `must be a YYYY-MM-DD date, got "${config.date}"`);
+  }
+
+  if (KEYED_PROVIDERS.includes(config.provider)) {
+    if (!config.apiBaseUrl) {
+      report('apiBaseUrl', `is required for ${config.provider}`);
+    } else if (!URL.canParse(config.apiBaseUrl)) {
+      report(
+        'apiBaseUrl',
+        `must be a URL, got "${config.apiBaseUrl}"`
+      );
+    }
+
+    if (!config.apiKey) {
+      report('apiKey', `is required for ${config.provider}`);
+    }
+  }
+
+  if (typeof config.base === 'string' && !getCurrency(config.base)) {
+    report('base', `"${config.base}" is not an ISO 4217 currency`);
+  }
+
+  if (
+    typeof config.timeZone === 'string' &&
+    !isTimeZone(config.timeZone)
+  ) {
+    report(
+      'timeZone',
+      `must be an IANA time zone, got "${config.timeZone}"`
+    );
+  }
+
+  if (
+    typeof config.cutoff === 'string' &&
+    !/^([01]\d|2[0-3]):[0-5]\d$/.test(config.cutoff)
+  ) {
+    report('cutoff', `must be an HH:MM time, got "${config.cutoff}"`);
+  }
+
+  if (!Array.isArray(config.holidays)) {
+    report(
+      'holidays',
+      `must be a list, got ${JSON.stringify(config.holidays)}`
+    );
+  } else {
+    for (const holiday of config.holidays) {
+      if (!Object.hasOwn(HOLIDAYS, holiday) && !isDate(holiday)) {
+        report(
+          'holidays',
+          `must list holiday lists or YYYY-MM-DD dates, got ${JSON.stringify(holiday)}`
+        );
+      }
+    }
+  }
+
+  if (config.jitter > 1) {
+    report('jitter', `must be at most 1, got ${config.jitter}`);
+  }
+
+  if (config.retries >= 0 && !Number.isInteger(config.retries)) {
+    report('retries', `must be an integer, got ${config.retries}`);
+  }
+
+  return problems;
+};
+
+/**
+ * Resolves settings from flags, then environment variables, then the
+ * config file, then defaults.
+ *
+ * @param {object} options
+ * @param {Record<string, string | undefined>=} options.flags parsed
+ * command line options by flag name, e.g. `data-path`
+ * @param {Record<string, string | undefined>=} options.env
+ * @param {string=} options.path JSON config file, which must exist
+ * when given
+ * @param {import('./utils.js').FileIO=} options.io
+ * @returns {Promise<Config>}
+ * @throws {ConfigError}
+ */
+export const loadConfig = async (options) => {
+  const { flags = {}, env = {}, path, io = fileSystem } = options;
+  const file = path ? await readConfigFile(path, io) : {};
+
+  const config = {};
+
+  for (const [field, setting] of Object.entries(SETTINGS)) {
+    const flag = flags[setting.flag];
+    const variable = env[setting.env];
+
+    if (flag !== undefined) {
+      config[field] = parseValue(setting, flag);
+    } else if (variable) {
+      config[field] = parseValue(setting, variable);
+    } else if (Object.hasOwn(file, field)) {
+      config[field] = file[field];
+    } else {
+      config[field] = setting.fallback();
+    }
+  }
+
+  const problems = validateConfig(config);
+
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  return config;
+};
+
+/**
+ * @param {string} path
+ * @param {import('./utils.js').FileIO} io
+ * @returns {Promise<Partial<Config>>}
+ * @throws {ConfigError}
+ */
+const readConfigFile = async (path, io) => {
+  const content = await io.read(path);
+
+  if (!content) {
+    throw new ConfigError([
+      {
+        field: 'config',
+        message: `file "${path}" is missing or empty`,
+      },
+    ]);
+  }
+
+  let file;
+
+  try {
+    file = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError([
+      {
+        field: 'config',
+        message: `file "${path}" is not valid JSON: ${error.message}`,
+      },
+    ]);
+  }
+
+  if (!file || typeof file !== 'object' || Array.isArray(file)) {
+    throw new ConfigError([
+      {
+        field: 'config',
+        message: `file "${path}" must hold an object`,
+      },
+    ]);
+  }
+
+  const unknown = Object.keys(file).filter((key) => {
+    return !Object.hasOwn(SETTINGS, key);
+  });
+
+  if (unknown.length) {
+    throw new ConfigError(
+      unknown.map((key) => ({
+        field: `config.${key}`,
+        message: 'is not a known setting',
+      }))
+    );
+  }
+
+  return file;
+};
@@ -0,0 +1,360 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigError, loadConfig, validateConfig } from './config.js';
+import { memoryIO } from './testing.js';
+
+/**
+ * Settings the default provider requires.
+ */
+const credentials = {
+  AF_API_BASE_URL: 'https://example.org/api',
+  AF_API_KEY: 'secret',
+};
+
+describe('loadConfig', () => {
+  it('should fall back to defaults', async () => {
+    const config = await loadConfig({ env: credentials });
+
+    assert.equal(config.provider, 'fixer');
+    assert.equal(config.dataPath, './data/v1');
+    assert.deepEqual(config.bases, ['EUR', 'USD', 'GBP']);
+    assert(config.quotes.includes('USD'));
+    assert.equal(config.retries, 3);
+  });
+
+  it('should prefer flags over env over config file', async () => {
+    const io = memoryIO({
+      'config.json': JSON.stringify({
+        quotes: ['CHF'],
+        bases: ['EUR'],
+        dataPath: './file',
+        retries: 1,
+      }),
+    });
+
+    const config = await loadConfig({
+      flags: { 'data-path': './flag' },
+      env: {
+        ...credentials,
+        AF_DATA_PATH: './env',
+        AF_QUOTES: 'USD, GBP',
+      },
+      path: 'config.json',
+      io,
+    });
+
+    assert.equal(config.dataPath, './flag');
+    assert.deepEqual(config.quotes, ['USD', 'GBP']);
+    assert.deepEqual(config.bases, ['EUR']);
+    assert.equal(config.retries, 1);
+  });
+
+  it('should parse numbers from env and flags', async () => {
+    const config = await loadConfig({
+      flags: { timeout: '5000' },
+      env: { ...credentials, AF_JITTER: '0.5' },
+    });
+
+    assert.equal(config.timeout, 5000);
+    assert.equal(config.jitter, 0.5);
+  });
+
+  it('should report every invalid setting', async () => {
+    await assert.rejects(
+      loadConfig({
+        flags: { retries: 'many', 'http-mode': 'offline' },
+        env: { AF_QUOTES: 'usd', AF_DATE: '2024-02-30' },
+      }),
+      (error) => {
+        assert(error instanceof ConfigError);
+        assert.equal(
+          error.message,
+          'Invalid config, 6 problem(s):\n' +
+            '  quotes: must list currency codes, got "usd"\n' +
+            '  retries: must be a non-negative number, got NaN\n' +
+            '  httpMode: must be one of: live, record, replay, got "offline"\n' +
+            '  date: must be a YYYY-MM-DD date, got "2024-02-30"\n' +
+            '  apiBaseUrl: is required for fixer\n' +
+            '  apiKey: is required for fixer'
+        );
+
+        return true;
+      }
+    );
+  });
+
+  it('should reject missing config file', async () => {
+    await assert.rejects(
+      loadConfig({ path: 'missing.json', io: memoryIO({}) }),
+      new ConfigError([
+        {
+          field: 'config',
+          message: 'file "missing.json" is missing or empty',
+        },
+      ])
+    );
+  });
+
+  it('should reject unknown settings in config file', async () => {
+    const io = memoryIO({
+      'config.json': JSON.stringify({ quote: ['USD'] }),
+    });
+
+    await assert.rejects(
+      loadConfig({ path: 'config.json', io }),
+      (error) => {
+        assert.deepEqual(error.problems, [
+          {
+            field: 'config.quote',
+            message: 'is not a known setting',
+          },
+        ]);
+
+        return true;
+      }
+    );
+  });
+
+  it('should reject malformed config file', async () => {
+    const io = memoryIO({ 'config.json': '{ quotes: USD }' });
+
+    await assert.rejects(
+      loadConfig({ path: 'config.json', io }),
+      /file "config.json" is not valid JSON/
+    );
+  });
+});
+
+describe('validateConfig', () => {
+  it('should accept defaults', async () => {
+    assert.deepEqual(
+      validateConfig(await loadConfig({ env: credentials })),
+      []
+    );
+  });
+
+  it('should require whole retries', async () => {
+    const config = await loadConfig({ env: credentials });
+
+    assert.deepEqual(validateConfig({ ...config, retries: 1.5 }), [
+      { field: 'retries', message: 'must be an integer, got 1.5' },
+    ]);
+  });
+
+  it('should report invalid anomaly thresholds', async () => {
+    const config = await loadConfig({
+      env: {
+        ...credentials,
+        AF_ANOMALY_THRESHOLDS: '{"default":{"maxJump":0.2}}',
+      },
+    });
+
+    assert.deepEqual(config.anomalyThresholds.default, {
+      maxJump: 0.2,
+    });
+
+    assert.deepEqual(
+      validateConfig({
+        ...config,
+        anomalyThresholds: {
+          ARS: { jump: 1, window: -1 },
+          GBP: { window: 0 },
+          JPY: { window: 7.5 },
+          usd: {},
+        },
+      }),
+      [
+        {
+          field: 'anomalyThresholds.ARS.jump',
+          message: 'is not a known threshold',
+        },
+        {
+          field: 'anomalyThresholds.ARS.window',
+          message: 'must be a non-negative number, got -1',
+        },
+        {
+          field: 'anomalyThresholds.GBP.window',
+          message: 'must be an integer of at least 5, got 0',
+        },
+        {
+          field: 'anomalyThresholds.JPY.window',
+          message: 'must be an integer of at least 5, got 7.5',
+        },
+        {
+          field: 'anomalyThresholds.usd',
+          message: 'must be a currency code or "default"',
+        },
+      ]
+    );
+  });
+
+  it('should report invalid notification targets', async () => {
+    const config = await loadConfig({
+      env: {
+        ...credentials,
+        AF_NOTIFICATIONS: '[{"url":"https://hooks.example.org/x"}]',
+      },
+    });
+
+    assert.deepEqual(validateConfig(config), []);
+
+    assert.deepEqual(
+      validateConfig({
+        ...config,
+        notifications: [
+          'https://hooks.example.org/x',
+          {
+            url: 'ftp://example.org',
+            format: 'teams',
+            events: ['failure', 'done'],
+            templates: { done: '{{command}}' },
+          },
+          {
+            url: 'https://relay.example.org',
+            format: 'email-relay',
+            to: 'a@b.c',
+          },
+        ],
+      }),
+      [
+        {
+          field: 'notifications.0',
+          message:
+            'must be an object, got "https://hooks.example.org/x"',
+        },
+        {
+          field: 'notifications.1.url',
+          message: 'must be an HTTP URL, got "ftp://example.org"',
+        },
+        {
+          field: 'notifications.1.format',
+          message:
+            'must be one of: generic, slack, email-relay, got "teams"',
+        },
+        {
+          field: 'notifications.1.events',
+          message:
+            'must list some of: failure, partial, stale, got "done"',
+        },
+        {
+          field: 'notifications.1.templates.done',
+          message: 'is not a known event',
+        },
+        {
+          field: 'notifications.2.from',
+          message: 'is required for email-relay',
+        },
+      ]
+    );
+  });
+
+  it('should report invalid base and publication settings', async () => {
+    const config = await loadConfig({
+      env: {
+        ...credentials,
+        AF_HOLIDAYS: 'TARGET2,2024-12-24',
+      },
+    });
+
+    assert.deepEqual(config.holidays, ['TARGET2', '2024-12-24']);
+    assert.equal(config.date, undefined);
+
+    assert.deepEqual(
+      validateConfig({
+        ...config,
+        base: 'EURO',
+        timeZone: 'Europe/Atlantis',
+        cutoff: '25:00',
+        holidays: ['NYSE'],
+        nonPublication: 'fill',
+      }),
+      [
+        {
+          field: 'nonPublication',
+          message: 'must be one of: skip, carry, got "fill"',
+        },
+        {
+          field: 'base',
+          message: '"EURO" is not an ISO 4217 currency',
+        },
+        {
+          field: 'timeZone',
+          message: 'must be an IANA time zone, got "Europe/Atlantis"',
+        },
+        {
+          field: 'cutoff',
+          message: 'must be an HH:MM time, got "25:00"',
+        },
+        {
+          field: 'holidays',
+          message:
+            'must list holiday lists or YYYY-MM-DD dates, got "NYSE"',
+        },
+      ]
+    );
+  });
+
+  it('should require an API URL and key for keyed providers', async () => {
+    const config = await loadConfig({ env: credentials });
+
+    assert.deepEqual(
+      validateConfig({
+        ...config,
+        provider: 'openexchangerates',
+        apiBaseUrl: 'example.org',
+        apiKey: '',
+      }),
+      [
+        {
+          field: 'apiBaseUrl',
+          message: 'must be a URL, got "example.org"',
+        },
+        {
+          field: 'apiKey',
+          message: 'is required for openexchangerates',
+        },
+      ]
+    );
+    assert.deepEqual(
+      validateConfig({
+        ...config,
+        provider: 'ecb',
+        apiBaseUrl: undefined,
+        apiKey: '',
+      }),
+      []
+    );
+  });
+
+  it('should take holidays as a list flag', async () => {
+    const config = await loadConfig({
+      flags: { holidays: 'TARGET2 2024-12-24' },
+      env: credentials,
+    });
+
+    assert.deepEqual(config.holidays, ['TARGET2', '2024-12-24']);
+    assert.deepEqual(validateConfig(config), []);
+  });
+
+  it('should require at least one quote', async () => {
+    const config = await loadConfig({ env: credentials });
+
+    assert.deepEqual(validateConfig({ ...config, quotes: [] }), [
+      { field: 'quotes', message: 'must list at least one currency' },
+    ]);
+  });
+
+  it('should reject codes missing from ISO 4217', async () => {
+    const config = await loadConfig({ env: credentials });
+
+    assert.deepEqual(
+      validateConfig({ ...config, quotes: ['USD', 'ABC', 'VEF'] }),
+      [
+        {
+          field: 'quotes',
+          message: '"ABC" is not an ISO 4217 currency',
+        },
+      ]
+    );
+  });
+});
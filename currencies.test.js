@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SETTINGS } from './config.js';
+import {
+  currencies,
+  getCurrency,
+  reconcileQuotes,
+} from './currencies.js';
+
+describe('currencies', () => {
+  it('should describe currencies', () => {
+    assert.deepEqual(getCurrency('JPY'), {
+      code: 'JPY',
+      name: 'Yen',
+      minorUnits: 0,
+      active: true,
+    });
+
+    assert.equal(getCurrency('XAU').minorUnits, null);
+    assert.equal(getCurrency('VEF').active, false);
+    assert.equal(getCurrency('BTC'), undefined);
+    assert.equal(getCurrency('toString'), undefined);
+  });
+
+  it('should list every code once', () => {
+    for (const [code, currency] of Object.entries(currencies)) {
+      assert.match(code, /^[A-Z]{3}$/);
+      assert.equal(currency.code, code);
+      assert.ok(currency.name, code);
+    }
+  });
+
+  it('should know every default quote', () => {
+    const quotes = SETTINGS.quotes.fallback();
+
+    for (const quote of quotes) {
+      assert.equal(getCurrency(quote)?.active, true, quote);
+    }
+  });
+});
+
+describe('reconcileQuotes', () => {
+  it('should report disagreements with the provider', () => {
+    const report = reconcileQuotes(
+      {
+        base: 'EUR',
+        date: '2024-01-02',
+        rates: { EUR: 1, USD: 1.1, VEF: 2, BTC: 0.00002, MRU: 43 },
+      },
+      { quotes: ['USD', 'VES', 'MRU'] }
+    );
+
+    assert.deepEqual(report, {
+      unconfigured: ['BTC', 'VEF'],
+      missing: ['VES'],
+      unknown: ['BTC'],
+      historic: ['VEF'],
+    });
+  });
+});
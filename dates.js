@@ -0,0 +1,195 @@
+const DAY = 86_400_000;
+
+/**
+ * @param {number | Date} value
+ * @returns {string}
+ */
+export const formatDate = (value) => {
+  return new Date(value).toJSON().substring(0, 10);
+};
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const time = Date.parse(value);
+
+  return !Number.isNaN(time) && formatDate(time) === value;
+};
+
+/**
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDays = (date, days) => {
+  return formatDate(Date.parse(date) + days * DAY);
+};
+
+/**
+ * Lists every day from `from` to `to`, both inclusive.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+export const dateRange = (from, to) => {
+  for (const date of [from, to]) {
+    if (!isDate(date)) {
+      throw new Error(`"${date}" is not a valid YYYY-MM-DD date`);
+    }
+  }
+
+  if (from > to) {
+    throw new Error(`Range start "${from}" is after its end "${to}"`);
+  }
+
+  const dates = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Weekdays, when markets publish rates.
+ *
+ * @param {string} date
+ * @returns {boolean}
+ */
+export const isBusinessDay = (date) => {
+  const day = new Date(date).getUTCDay();
+
+  return day !== 0 && day !== 6;
+};
+
+/**
+ * @param {number} year
+ * @returns {string} Easter Sunday, in the Gregorian calendar
+ */
+const easter = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Holiday lists by name, as the dates of a year markets close on.
+ *
+ * @type {Record<string, (year: number) => string[]>}
+ */
+export const HOLIDAYS = {
+  // closing days of the Eurosystem's payment system, which the ECB
+  // does not publish reference rates on either
+  TARGET2: (year) => [
+    `${year}-01-01`,
+    addDays(easter(year), -2),
+    addDays(easter(year), 1),
+    `${year}-05-01`,
+    `${year}-12-25`,
+    `${year}-12-26`,
+  ],
+};
+
+/**
+ * Business days which are no holiday, when providers publish rates.
+ *
+ * @param {string} date
+ * @param {string[]=} holidays names of `HOLIDAYS` lists or dates
+ * @returns {boolean}
+ */
+export const isPublicationDay = (date, holidays = []) => {
+  if (!isBusinessDay(date)) {
+    return false;
+  }
+
+  const year = Number(date.substring(0, 4));
+
+  return !holidays.some((holiday) => {
+    return Object.hasOwn(HOLIDAYS, holiday)
+      ? HOLIDAYS[holiday](year).includes(date)
+      : holiday === date;
+  });
+};
+
+/**
+ * @param {string} date
+ * @param {string[]=} holidays see `isPublicationDay`
+ * @returns {string} the last publication day before `date`
+ */
+export const previousPublicationDay = (date, holidays = []) => {
+  let day = addDays(date, -1);
+
+  while (!isPublicationDay(day, holidays)) {
+    day = addDays(day, -1);
+  }
+
+  return day;
+};
+
+/**
+ * @param {string} value
+ * @returns {boolean} whether `value` is an IANA time zone, e.g.
+ * `Europe/Berlin`
+ */
+export const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The last day whose rates are out, i.e. today in the publication time
+ * zone once past the cutoff time, yesterday before.
+ *
+ * @param {object} options
+ * @param {string} options.timeZone of the provider, e.g. `Europe/Berlin`
+ * @param {string} options.cutoff `HH:MM` local time rates are out by
+ * @param {number=} options.now
+ * @returns {string}
+ */
+export const targetDate = (options) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: options.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(options.now ?? Date.now());
+
+  const { year, month, day, hour, minute } = Object.fromEntries(
+    parts.map(({ type, value }) => [type, value])
+  );
+
+  const date = `${year}-${month}-${day}`;
+
+  return `${hour}:${minute}` >= options.cutoff
+    ? date
+    : addDays(date, -1);
+};
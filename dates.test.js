@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addDays,
+  dateRange,
+  formatDate,
+  HOLIDAYS,
+  isBusinessDay,
+  isDate,
+  isPublicationDay,
+  isTimeZone,
+  previousPublicationDay,
+  targetDate,
+} from './dates.js';
+
+describe('formatDate', () => {
+  it('should format timestamps as YYYY-MM-DD in UTC', () => {
+    assert.equal(
+      formatDate(Date.UTC(2024, 0, 31, 23, 59)),
+      '2024-01-31'
+    );
+  });
+});
+
+describe('isDate', () => {
+  it('should accept valid dates', () => {
+    assert.equal(isDate('2024-02-29'), true);
+  });
+
+  it('should reject malformed or impossible dates', () => {
+    assert.equal(isDate('2024-2-1'), false);
+    assert.equal(isDate('2023-02-29'), false);
+    assert.equal(isDate('latest'), false);
+  });
+});
+
+describe('addDays', () => {
+  it('should move across month and year boundaries', () => {
+    assert.equal(addDays('2023-12-31', 1), '2024-01-01');
+    assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+  });
+});
+
+describe('dateRange', () => {
+  it('should list every day including both ends', () => {
+    assert.deepEqual(dateRange('2024-02-27', '2024-03-01'), [
+      '2024-02-27',
+      '2024-02-28',
+      '2024-02-29',
+      '2024-03-01',
+    ]);
+  });
+
+  it('should return a single day when ends are equal', () => {
+    assert.deepEqual(dateRange('2024-01-01', '2024-01-01'), [
+      '2024-01-01',
+    ]);
+  });
+
+  it('should throw for invalid dates', () => {
+    assert.throws(
+      () => dateRange('2024-01-01', 'tomorrow'),
+      new Error('"tomorrow" is not a valid YYYY-MM-DD date')
+    );
+  });
+
+  it('should throw for reversed ranges', () => {
+    assert.throws(
+      () => dateRange('2024-01-02', '2024-01-01'),
+      new Error(
+        'Range start "2024-01-02" is after its end "2024-01-01"'
+      )
+    );
+  });
+});
+
+describe('isBusinessDay', () => {
+  it('should tell weekdays from weekends', () => {
+    assert.equal(isBusinessDay('2024-01-05'), true);
+    assert.equal(isBusinessDay('2024-01-06'), false);
+    assert.equal(isBusinessDay('2024-01-07'), false);
+    assert.equal(isBusinessDay('2024-01-08'), true);
+  });
+});
+
+describe('HOLIDAYS', () => {
+  it('should list TARGET2 closing days', () => {
+    assert.deepEqual(HOLIDAYS.TARGET2(2025), [
+      '2025-01-01',
+      '2025-04-18',
+      '2025-04-21',
+      '2025-05-01',
+      '2025-12-25',
+      '2025-12-26',
+    ]);
+  });
+});
+
+describe('isPublicationDay', () => {
+  it('should leave out weekends and holidays', () => {
+    const holidays = ['TARGET2', '2024-12-24'];
+
+    assert.equal(isPublicationDay('2024-03-28', holidays), true);
+    assert.equal(isPublicationDay('2024-03-29', holidays), false);
+    assert.equal(isPublicationDay('2024-03-30', holidays), false);
+    assert.equal(isPublicationDay('2024-12-24', holidays), false);
+    assert.equal(isPublicationDay('2024-12-24'), true);
+  });
+});
+
+describe('previousPublicationDay', () => {
+  it('should skip weekends and holidays', () => {
+    assert.equal(
+      previousPublicationDay('2024-04-02', ['TARGET2']),
+      '2024-03-28'
+    );
+    assert.equal(previousPublicationDay('2024-01-08'), '2024-01-05');
+  });
+});
+
+describe('isTimeZone', () => {
+  it('should accept IANA time zones only', () => {
+    assert.equal(isTimeZone('Europe/Berlin'), true);
+    assert.equal(isTimeZone('UTC'), true);
+    assert.equal(isTimeZone('Europe/Atlantis'), false);
+  });
+});
+
+describe('targetDate', () => {
+  const options = { timeZone: 'Europe/Berlin', cutoff: '17:00' };
+
+  it('should pick today once past the cutoff', () => {
+    assert.equal(
+      targetDate({
+        ...options,
+        now: Date.parse('2024-01-05T16:00Z'),
+      }),
+      '2024-01-05'
+    );
+  });
+
+  it('should pick yesterday before the cutoff', () => {
+    assert.equal(
+      targetDate({
+        ...options,
+        now: Date.parse('2024-01-05T15:59Z'),
+      }),
+      '2024-01-04'
+    );
+  });
+
+  it('should use the local date of the time zone', () => {
+    // still the evening of January 4th in New York
+    assert.equal(
+      targetDate({
+        timeZone: 'America/New_York',
+        cutoff: '18:00',
+        now: Date.parse('2024-01-05T01:00Z'),
+      }),
+      '2024-01-04'
+    );
+  });
+});
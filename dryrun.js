@@ -0,0 +1,192 @@
+import { basename } from 'path';
+import { formats } from './formats.js';
+import { fileSystem } from './utils.js';
+
+/**
+ * Keeps writes in memory instead of files, reading through to them
+ * otherwise. Stands in for a `Transaction`, so a run can be dry.
+ *
+ * @implements {import('./utils.js').FileIO}
+ */
+export class MemorySink {
+  /**
+   * @type {Map<string, string>}
+   */
+  #files = new Map();
+
+  /**
+   * @type {import('./utils.js').FileIO}
+   */
+  #io;
+
+  /**
+   * @param {import('./utils.js').FileIO=} io read for files not
+   * written yet
+   */
+  constructor(io = fileSystem) {
+    this.#io = io;
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  get paths() {
+    return [...this.#files.keys()];
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async read(path) {
+    return this.#files.has(path)
+      ? this.#files.get(path)
+      : this.#io.read(path);
+  }
+
+  /**
+   * @param {string} path
+   * @param {string} content
+   * @returns {Promise<void>}
+   */
+  async write(path, content) {
+    this.#files.set(path, content);
+  }
+
+  /**
+   * Does nothing, the files are never written.
+   *
+   * @returns {Promise<void>}
+   */
+  async commit() {}
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    this.#files.clear();
+  }
+}
+
+/**
+ * @typedef {object} RateChange
+ * @property {string} date
+ * @property {number | null} old
+ * @property {number | null} new
+ */
+
+/**
+ * @typedef {object} FileDiff
+ * @property {string} path
+ * @property {boolean} created
+ * @property {import('./formats.js').Row[] | null} added rows, `null`
+ * for files other than per-quote datasets, e.g. aggregates
+ * @property {RateChange[] | null} changed rows, `null` likewise
+ */
+
+/**
+ * @param {string} path
+ * @returns {import('./formats.js').Format | undefined} of per-quote
+ * datasets, e.g. `EUR/USD.csv` or `EUR/USD.latest.json`
+ */
+const datasetFormat = (path) => {
+  const match = basename(path).match(
+    /^[A-Z]{3}(?:\.latest)?\.(\w+)$/
+  );
+
+  return match && Object.hasOwn(formats, match[1])
+    ? formats[match[1]]
+    : undefined;
+};
+
+/**
+ * @param {import('./formats.js').Row[]} before
+ * @param {import('./formats.js').Row[]} after
+ * @returns {{ added: import('./formats.js').Row[], changed: RateChange[] }}
+ */
+const diffRows = (before, after) => {
+  const rates = new Map(before.map((row) => [row.date, row.rate]));
+  const added = [];
+  const changed = [];
+
+  for (const row of after) {
+    if (!rates.has(row.date)) {
+      added.push(row);
+    } else if (rates.get(row.date) !== row.rate) {
+      changed.push({
+        date: row.date,
+        old: rates.get(row.date),
+        new: row.rate,
+      });
+    }
+  }
+
+  return { added, changed };
+};
+
+/**
+ * Compares what a dry run wrote to the files as they are, leaving out
+ * files it would not change.
+ *
+ * @param {MemorySink} sink
+ * @param {import('./utils.js').FileIO=} io
+ * @returns {Promise<FileDiff[]>} sorted by path
+ */
+export const diffFiles = async (sink, io = fileSystem) => {
+  const diffs = [];
+
+  for (const path of sink.paths.sort()) {
+    const before = await io.read(path);
+    const after = await sink.read(path);
+
+    if (before === after) {
+      continue;
+    }
+
+    const format = datasetFormat(path);
+
+    diffs.push({
+      path,
+      created: before === '',
+      ...(format
+        ? diffRows(format.parse(before), format.parse(after))
+        : { added: null, changed: null }),
+    });
+  }
+
+  return diffs;
+};
+
+/**
+ * @param {FileDiff[]} diffs
+ * @returns {string} one line per file, then one per row
+ */
+export const formatDiff = (diffs) => {
+  if (!diffs.length) {
+    return 'Dry run: no file would change';
+  }
+
+  const lines = [`Dry run: ${diffs.length} file(s) would change`];
+
+  for (const diff of diffs) {
+    const detail = diff.added
+      ? `${diff.added.length} added, ${diff.changed.length} changed`
+      : 'rewritten';
+
+    lines.push(
+      `${diff.created ? '+' : '~'} ${diff.path} (${diff.created ? 'created, ' : ''}${detail})`
+    );
+
+    for (const row of diff.added || []) {
+      lines.push(`    + ${row.date} ${row.rate ?? '-'}`);
+    }
+
+    for (const row of diff.changed || []) {
+      lines.push(
+        `    ~ ${row.date} ${row.old ?? '-'} -> ${row.new ?? '-'}`
+      );
+    }
+  }
+
+  return lines.join('\n');
+};
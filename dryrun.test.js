@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { diffFiles, formatDiff, MemorySink } from './dryrun.js';
+import { Fetcher, upsertLine } from './utils.js';
+
+describe('MemorySink', () => {
+  it('should read written content, or files otherwise', async () => {
+    const sink = new MemorySink({
+      read: async (path) => (path === 'a.csv' ? 'file\n' : ''),
+      write: async () => assert.fail('should not write files'),
+    });
+
+    await sink.write('b.csv', 'memory\n');
+
+    assert.equal(await sink.read('a.csv'), 'file\n');
+    assert.equal(await sink.read('b.csv'), 'memory\n');
+    assert.deepEqual(sink.paths, ['b.csv']);
+
+    await sink.commit();
+    await sink.rollback();
+
+    assert.deepEqual(sink.paths, []);
+  });
+});
+
+describe('dry runs', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'dryrun-'));
+
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-01,1.1\n2024-01-02,1.2\n'
+    );
+    await writeFile(join(dir, 'EUR', 'GBP.csv'), '2024-01-02,0.86\n');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should diff what a run would write without writing it', async () => {
+    const fetcher = new Fetcher({
+      httpClient: {
+        get: async () => ({
+          base: 'EUR',
+          date: '2024-01-02',
+          rates: { USD: 1.25, GBP: 0.86, CHF: 0.93 },
+        }),
+      },
+      quotes: ['USD', 'GBP', 'CHF'],
+    });
+
+    const sink = new MemorySink();
+
+    const results = await fetcher.run('http://example.org', {
+      date: '2024-01-02',
+      path: (quote, base) => join(dir, base, `${quote}.csv`),
+      handler: upsertLine,
+      transaction: sink,
+    });
+
+    assert.deepEqual(Object.values(results).sort(), [
+      'inserted',
+      'unchanged',
+      'updated',
+    ]);
+
+    await sink.write(join(dir, 'EUR', 'latest.json'), '{}\n');
+
+    const diffs = await diffFiles(sink);
+
+    assert.deepEqual(diffs, [
+      {
+        path: join(dir, 'EUR', 'CHF.csv'),
+        created: true,
+        added: [{ date: '2024-01-02', rate: 0.93 }],
+        changed: [],
+      },
+      {
+        path: join(dir, 'EUR', 'USD.csv'),
+        created: false,
+        added: [],
+        changed: [{ date: '2024-01-02', old: 1.2, new: 1.25 }],
+      },
+      {
+        path: join(dir, 'EUR', 'latest.json'),
+        created: true,
+        added: null,
+        changed: null,
+      },
+    ]);
+
+    assert.deepEqual((await readdir(join(dir, 'EUR'))).sort(), [
+      'GBP.csv',
+      'USD.csv',
+    ]);
+
+    assert.equal(
+      formatDiff(diffs),
+      [
+        'Dry run: 3 file(s) would change',
+        `+ ${join(dir, 'EUR', 'CHF.csv')} (created, 1 added, 0 changed)`,
+        '    + 2024-01-02 0.93',
+        `~ ${join(dir, 'EUR', 'USD.csv')} (0 added, 1 changed)`,
+        '    ~ 2024-01-02 1.2 -> 1.25',
+        `+ ${join(dir, 'EUR', 'latest.json')} (created, rewritten)`,
+      ].join('\n')
+    );
+  });
+
+  it('should report when nothing would change', () => {
+    assert.equal(formatDiff([]), 'Dry run: no file would change');
+  });
+});
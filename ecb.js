@@ -0,0 +1,170 @@
+import { dataToLines } from './utils.js';
+
+const DAY = 86_400_000;
+
+/**
+ * @param {string} source
+ * @returns {Record<string, string>}
+ */
+const parseAttributes = (source) => {
+  const attributes = {};
+
+  for (const [, name, , value] of source.matchAll(
+    /([\w:]+)\s*=\s*(['"])(.*?)\2/g
+  )) {
+    attributes[name] = value;
+  }
+
+  return attributes;
+};
+
+/**
+ * Parses ECB euro foreign exchange reference rates documents (daily,
+ * 90-day and full history `eurofxref` XML), which nest rates as
+ * `<Cube time="..."><Cube currency="..." rate="..."/></Cube>`.
+ *
+ * @param {string} xml
+ * @returns {import('./providers.js').Rates[]} days in document order,
+ * which is most recent first
+ */
+export const parseEcbXml = (xml) => {
+  const days = [];
+
+  for (const [, source] of xml.matchAll(/<Cube\b([^>]*?)\/?>/g)) {
+    const attributes = parseAttributes(source);
+
+    if (attributes.time) {
+      days.push({ base: 'EUR', date: attributes.time, rates: {} });
+    } else if (attributes.currency) {
+      const day = days[days.length - 1];
+
+      if (!day) {
+        throw new Error(
+          `ECB rate for "${attributes.currency}" is outside of a dated Cube`
+        );
+      }
+
+      day.rates[attributes.currency] = Number(attributes.rate);
+    }
+  }
+
+  if (!days.length) {
+    throw new Error('ECB document has no dated Cube elements');
+  }
+
+  return days;
+};
+
+/**
+ * Same `[quote, line]` pairs as `dataToLines` gives, for every day of
+ * an ECB document from oldest to newest.
+ *
+ * @param {string} xml
+ * @param {object} options
+ * @param {string[]} options.quotes
+ * @returns {[string, string][]}
+ */
+export const ecbToLines = (xml, options) => {
+  return parseEcbXml(xml)
+    .reverse()
+    .flatMap((day) => dataToLines(day, options));
+};
+
+/**
+ * European Central Bank reference rates. There is no document per
+ * date, so dated requests use the 90-day or full history document.
+ *
+ * @implements {import('./providers.js').Provider}
+ */
+export class EcbProvider {
+  /**
+   * @type {string}
+   */
+  #baseUrl;
+
+  /**
+   * @param {object} options
+   * @param {string=} options.baseUrl
+   */
+  constructor(options = {}) {
+    this.#baseUrl =
+      options.baseUrl || 'https://www.ecb.europa.eu/stats/eurofxref';
+  }
+
+  /**
+   * @returns {'text'}
+   */
+  get type() {
+    return 'text';
+  }
+
+  /**
+   * @returns {string}
+   */
+  get base() {
+    return 'EUR';
+  }
+
+  /**
+   * @param {string} date
+   * @returns {string}
+   */
+  url(date) {
+    return date === 'latest'
+      ? `${this.#baseUrl}/eurofxref-daily.xml`
+      : this.history(date);
+  }
+
+  /**
+   * @param {string} from
+   * @returns {string} URL of a document covering `from` until today
+   */
+  history(from) {
+    const days = (Date.now() - Date.parse(from)) / DAY;
+
+    return days < 90
+      ? `${this.#baseUrl}/eurofxref-hist-90d.xml`
+      : `${this.#baseUrl}/eurofxref-hist.xml`;
+  }
+
+  /**
+   * @returns {Record<string, string>}
+   */
+  headers() {
+    return {};
+  }
+
+  /**
+   * @param {string} body
+   * @param {string=} date picks that day from a history document
+   * instead of the most recent one
+   * @returns {import('./providers.js').Rates}
+   */
+  parse(body, date) {
+    const days = this.parseAll(body);
+
+    if (!date || date === 'latest') {
+      return days[0];
+    }
+
+    const day = days.find((day) => day.date === date);
+
+    if (!day) {
+      throw new Error(`ECB document has no rates for "${date}"`);
+    }
+
+    return day;
+  }
+
+  /**
+   * @param {string} body
+   * @returns {import('./providers.js').Rates[]} with the EUR rate
+   * documents leave out, as other providers list their base
+   */
+  parseAll(body) {
+    return parseEcbXml(body).map((day) => ({
+      ...day,
+      rates: { EUR: 1, ...day.rates },
+    }));
+  }
+}
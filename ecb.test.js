@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { EcbProvider, ecbToLines, parseEcbXml } from './ecb.js';
+
+const fixture = (name) => {
+  const url = new URL(`./fixtures/ecb/${name}`, import.meta.url);
+
+  return readFile(url, { encoding: 'utf-8' });
+};
+
+describe('parseEcbXml', () => {
+  it('should parse the daily document', async () => {
+    const days = parseEcbXml(await fixture('eurofxref-daily.xml'));
+
+    assert.deepEqual(days, [
+      {
+        base: 'EUR',
+        date: '2024-01-05',
+        rates: {
+          USD: 1.0921,
+          JPY: 158.08,
+          GBP: 0.86075,
+          CHF: 0.9306,
+        },
+      },
+    ]);
+  });
+
+  it('should parse every day of the 90-day document', async () => {
+    const days = parseEcbXml(await fixture('eurofxref-hist-90d.xml'));
+
+    assert.deepEqual(
+      days.map((day) => day.date),
+      ['2024-01-05', '2024-01-04', '2024-01-03']
+    );
+
+    assert.deepEqual(days[1].rates, { USD: 1.0953, GBP: 0.86145 });
+  });
+
+  it('should keep currencies only present on some days', async () => {
+    const days = parseEcbXml(await fixture('eurofxref-hist.xml'));
+
+    assert.equal(days[0].rates.CYP, undefined);
+    assert.equal(days[2].rates.CYP, 0.58231);
+  });
+
+  it('should throw for rates outside of a dated Cube', () => {
+    assert.throws(
+      () =>
+        parseEcbXml('<Cube><Cube currency="USD" rate="1.1"/></Cube>'),
+      new Error('ECB rate for "USD" is outside of a dated Cube')
+    );
+  });
+
+  it('should throw for documents without rates', () => {
+    assert.throws(
+      () => parseEcbXml('<html>Service unavailable</html>'),
+      new Error('ECB document has no dated Cube elements')
+    );
+  });
+});
+
+describe('ecbToLines', () => {
+  it('should produce dataToLines lines from oldest day', async () => {
+    const xml = await fixture('eurofxref-hist-90d.xml');
+    const lines = ecbToLines(xml, { quotes: ['GBP', 'USD'] });
+
+    assert.deepEqual(lines, [
+      ['GBP', '2024-01-03,0.8635'],
+      ['USD', '2024-01-03,1.0919'],
+      ['GBP', '2024-01-04,0.86145'],
+      ['USD', '2024-01-04,1.0953'],
+      ['GBP', '2024-01-05,0.86075'],
+      ['USD', '2024-01-05,1.0921'],
+    ]);
+  });
+});
+
+describe('EcbProvider', () => {
+  const provider = new EcbProvider({
+    baseUrl: 'https://example.org/eurofxref',
+  });
+
+  it('should request text documents', () => {
+    assert.equal(provider.type, 'text');
+  });
+
+  it('should build URL of the daily document for latest', () => {
+    assert.equal(
+      provider.url('latest'),
+      'https://example.org/eurofxref/eurofxref-daily.xml'
+    );
+  });
+
+  it('should pick history document by how far back it goes', () => {
+    const recent = new Date(Date.now() - 10 * 86_400_000)
+      .toJSON()
+      .substring(0, 10);
+
+    assert.equal(
+      provider.history(recent),
+      'https://example.org/eurofxref/eurofxref-hist-90d.xml'
+    );
+
+    assert.equal(
+      provider.url('2000-01-03'),
+      'https://example.org/eurofxref/eurofxref-hist.xml'
+    );
+  });
+
+  it('should default to the ECB website', () => {
+    assert.equal(
+      new EcbProvider().url('latest'),
+      'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml'
+    );
+  });
+
+  it('should parse the most recent day for latest', async () => {
+    const body = await fixture('eurofxref-hist-90d.xml');
+
+    assert.equal(provider.parse(body).date, '2024-01-05');
+  });
+
+  it('should parse the requested day', async () => {
+    const body = await fixture('eurofxref-hist-90d.xml');
+
+    assert.deepEqual(provider.parse(body, '2024-01-04'), {
+      base: 'EUR',
+      date: '2024-01-04',
+      rates: { EUR: 1, USD: 1.0953, GBP: 0.86145 },
+    });
+  });
+
+  it('should throw when the requested day is missing', async () => {
+    const body = await fixture('eurofxref-hist-90d.xml');
+
+    assert.throws(
+      () => provider.parse(body, '2024-01-06'),
+      new Error('ECB document has no rates for "2024-01-06"')
+    );
+  });
+
+  it('should parse all days of a document', async () => {
+    const body = await fixture('eurofxref-hist.xml');
+
+    assert.equal(provider.parseAll(body).length, 3);
+  });
+});
@@ -0,0 +1,190 @@
+import { fileSystem } from './utils.js';
+
+/**
+ * @typedef {object} Row
+ * @property {string} date
+ * @property {number | null} rate `null` when the provider had none
+ * @property {true=} carried forward from the last publication day,
+ * rates not being published on `date`
+ */
+
+/**
+ * Serializes a whole per-quote dataset, so rows can be upserted in any
+ * format the same way `upsertLine` does for CSV.
+ *
+ * @typedef {object} Format
+ * @property {string} extension
+ * @property {(content: string) => Row[]} parse
+ * @property {(rows: Row[]) => string} format
+ */
+
+/**
+ * @param {string} line `date,rate` as made by `dataToLines`, or
+ * `date,rate,carried` for carried forward rates
+ * @returns {Row}
+ */
+export const parseLine = (line) => {
+  const [date, rate, flag] = line.split(',');
+  const row = { date, rate: rate ? Number(rate) : null };
+
+  return flag === 'carried' ? { ...row, carried: true } : row;
+};
+
+/**
+ * @type {Format}
+ */
+const csv = {
+  extension: 'csv',
+  parse: (content) => {
+    return content.split('\n').filter(Boolean).map(parseLine);
+  },
+  format: (rows) => {
+    return rows
+      .map((row) => {
+        return `${row.date},${row.rate ?? ''}${row.carried ? ',carried' : ''}\n`;
+      })
+      .join('');
+  },
+};
+
+/**
+ * @type {Format}
+ */
+const json = {
+  extension: 'json',
+  parse: (content) => (content ? JSON.parse(content) : []),
+  format: (rows) => `${JSON.stringify(rows, null, 2)}\n`,
+};
+
+/**
+ * @type {Format}
+ */
+const ndjson = {
+  extension: 'ndjson',
+  parse: (content) => {
+    return content
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  },
+  format: (rows) => {
+    return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+  },
+};
+
+export const formats = { csv, json, ndjson };
+
+/**
+ * @param {string} name
+ * @returns {Format}
+ */
+export const getFormat = (name) => {
+  if (!Object.hasOwn(formats, name)) {
+    throw new Error(
+      `Unknown format "${name}", expected one of: ${Object.keys(formats).join(', ')}`
+    );
+  }
+
+  return formats[name];
+};
+
+/**
+ * @param {string} path of a CSV dataset
+ * @param {Format} format
+ * @returns {string} the same dataset in another format, e.g.
+ * `EUR/USD.latest.json` for `EUR/USD.latest.csv`
+ */
+export const formatPath = (path, format) => {
+  return path.replace(/\.csv$/, `.${format.extension}`);
+};
+
+/**
+ * Like `upsertLine`, for datasets in any format.
+ *
+ * @param {Format} format
+ * @returns {(path: string, line: string, io?: import('./utils.js').FileIO) => Promise<import('./utils.js').UpsertStatus>}
+ */
+export const upsertRow = (format) => {
+  return async (path, line, io = fileSystem) => {
+    const row = parseLine(line);
+    const rows = format.parse(await io.read(path));
+
+    const existing = rows.filter((other) => other.date === row.date);
+
+    if (
+      existing.length === 1 &&
+      existing[0].rate === row.rate &&
+      existing[0].carried === row.carried
+    ) {
+      return 'unchanged';
+    }
+
+    const rest = rows.filter((other) => other.date !== row.date);
+    const index = rest.findIndex((other) => other.date > row.date);
+
+    rest.splice(index === -1 ? rest.length : index, 0, row);
+
+    await io.write(path, format.format(rest));
+
+    return existing.length ? 'updated' : 'inserted';
+  };
+};
+
+/**
+ * Like `writeLine`, for datasets in any format.
+ *
+ * @param {Format} format
+ * @returns {(path: string, line: string, io?: import('./utils.js').FileIO) => Promise<void>}
+ */
+export const writeRow = (format) => {
+  return async (path, line, io = fileSystem) => {
+    await io.write(path, format.format([parseLine(line)]));
+  };
+};
+
+/**
+ * Extends a CSV handler to also write the same row to sibling datasets
+ * in other formats, resolving to the CSV handler result.
+ *
+ * @template T
+ *
+ * @param {(path: string, line: string, io: import('./utils.js').FileIO) => Promise<T>} handler
+ * @param {Format[]} extra
+ * @param {(format: Format) => (path: string, line: string, io: import('./utils.js').FileIO) => Promise<any>} toHandler
+ * e.g. `upsertRow`
+ * @returns {(path: string, line: string, io: import('./utils.js').FileIO) => Promise<T>}
+ */
+export const withFormats = (handler, extra, toHandler) => {
+  return async (path, line, io) => {
+    const result = await handler(path, line, io);
+
+    for (const format of extra) {
+      await toHandler(format)(formatPath(path, format), line, io);
+    }
+
+    return result;
+  };
+};
+
+/**
+ * Content of the combined `latest.json` of one base, e.g.
+ * `{ "base": "EUR", "date": "2024-01-02", "rates": { "USD": 1.09 } }`.
+ *
+ * @param {object} data
+ * @param {string} data.base
+ * @param {string} data.date
+ * @param {Record<string, number>} data.rates
+ * @param {object} options
+ * @param {string[]} options.quotes to keep, sorted like the datasets
+ * @returns {string}
+ */
+export const formatLatest = (data, options) => {
+  const rates = Object.fromEntries(
+    options.quotes
+      .filter((quote) => Object.hasOwn(data.rates, quote))
+      .sort()
+      .map((quote) => [quote, data.rates[quote] ?? null])
+  );
+
+  return `${JSON.stringify({ base: data.base, date: data.date, rates }, null, 2)}\n`;
+};
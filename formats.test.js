@@ -0,0 +1,188 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatLatest,
+  formatPath,
+  formats,
+  getFormat,
+  upsertRow,
+  withFormats,
+  writeRow,
+} from './formats.js';
+import { memoryIO } from './testing.js';
+import { upsertLine } from './utils.js';
+
+describe('formats', () => {
+  const rows = [
+    { date: '2024-01-01', rate: 1.1 },
+    { date: '2024-01-02', rate: null },
+  ];
+
+  it('should round-trip rows in every format', () => {
+    for (const format of Object.values(formats)) {
+      assert.deepEqual(format.parse(format.format(rows)), rows);
+    }
+  });
+
+  it('should format rows', () => {
+    assert.equal(
+      formats.csv.format(rows),
+      '2024-01-01,1.1\n2024-01-02,\n'
+    );
+
+    assert.equal(
+      formats.ndjson.format(rows),
+      '{"date":"2024-01-01","rate":1.1}\n' +
+        '{"date":"2024-01-02","rate":null}\n'
+    );
+  });
+
+  it('should keep carried forward flags', () => {
+    const carried = [
+      { date: '2024-01-05', rate: 1.1 },
+      { date: '2024-01-06', rate: 1.1, carried: true },
+    ];
+
+    assert.equal(
+      formats.csv.format(carried),
+      '2024-01-05,1.1\n2024-01-06,1.1,carried\n'
+    );
+
+    for (const format of Object.values(formats)) {
+      assert.deepEqual(format.parse(format.format(carried)), carried);
+    }
+  });
+
+  it('should throw for unknown formats', () => {
+    assert.throws(
+      () => getFormat('xml'),
+      new Error(
+        'Unknown format "xml", expected one of: csv, json, ndjson'
+      )
+    );
+  });
+});
+
+describe('formatPath', () => {
+  it('should swap CSV extension', () => {
+    assert.equal(
+      formatPath('data/v1/EUR/USD.latest.csv', formats.json),
+      'data/v1/EUR/USD.latest.json'
+    );
+  });
+});
+
+describe('upsertRow', () => {
+  it('should keep rows sorted and unique by date', async () => {
+    const files = {};
+    const io = memoryIO(files);
+    const upsert = upsertRow(formats.json);
+
+    assert.equal(
+      await upsert('USD.json', '2024-01-02,1.2', io),
+      'inserted'
+    );
+    assert.equal(
+      await upsert('USD.json', '2024-01-01,1.1', io),
+      'inserted'
+    );
+    assert.equal(
+      await upsert('USD.json', '2024-01-02,1.3', io),
+      'updated'
+    );
+    assert.equal(
+      await upsert('USD.json', '2024-01-02,1.3', io),
+      'unchanged'
+    );
+    assert.equal(
+      await upsert('USD.json', '2024-01-02,1.3,carried', io),
+      'updated'
+    );
+    assert.equal(
+      await upsert('USD.json', '2024-01-02,1.3', io),
+      'updated'
+    );
+
+    assert.deepEqual(JSON.parse(files['USD.json']), [
+      { date: '2024-01-01', rate: 1.1 },
+      { date: '2024-01-02', rate: 1.3 },
+    ]);
+  });
+
+  it('should match upsertLine for CSV', async () => {
+    const files = { 'a.csv': '2024-01-01,1\n2024-01-03,3\n' };
+    const io = memoryIO(files);
+
+    await upsertRow(formats.csv)('a.csv', '2024-01-02,2', io);
+
+    const expected = memoryIO({
+      'a.csv': '2024-01-01,1\n2024-01-03,3\n',
+    });
+    await upsertLine('a.csv', '2024-01-02,2', expected);
+
+    assert.equal(files['a.csv'], await expected.read('a.csv'));
+  });
+});
+
+describe('writeRow', () => {
+  it('should replace dataset with a single row', async () => {
+    const files = { 'USD.latest.ndjson': '{"date":"2024-01-01"}\n' };
+
+    await writeRow(formats.ndjson)(
+      'USD.latest.ndjson',
+      '2024-01-02,1.2',
+      memoryIO(files)
+    );
+
+    assert.equal(
+      files['USD.latest.ndjson'],
+      '{"date":"2024-01-02","rate":1.2}\n'
+    );
+  });
+});
+
+describe('withFormats', () => {
+  it('should write sibling datasets and return CSV result', async () => {
+    const files = {};
+
+    const handler = withFormats(
+      upsertLine,
+      [formats.json, formats.ndjson],
+      upsertRow
+    );
+
+    const result = await handler(
+      'EUR/USD.csv',
+      '2024-01-02,1.2',
+      memoryIO(files)
+    );
+
+    assert.equal(result, 'inserted');
+    assert.deepEqual(Object.keys(files).sort(), [
+      'EUR/USD.csv',
+      'EUR/USD.json',
+      'EUR/USD.ndjson',
+    ]);
+  });
+});
+
+describe('formatLatest', () => {
+  it('should keep sorted configured quotes only', () => {
+    const data = {
+      base: 'EUR',
+      date: '2024-01-02',
+      rates: { USD: 1.1, JPY: 160, GBP: 0.86 },
+    };
+
+    assert.deepEqual(
+      JSON.parse(
+        formatLatest(data, { quotes: ['USD', 'GBP', 'CHF'] })
+      ),
+      {
+        base: 'EUR',
+        date: '2024-01-02',
+        rates: { GBP: 0.86, USD: 1.1 },
+      }
+    );
+  });
+});
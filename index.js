@@ -1,65 +1,564 @@
+import { withAggregates } from './aggregates.js';
+import { AnomalyDetector } from './anomaly.js';
+import { Backfill } from './backfill.js';
+import { recordingFetch, replayingFetch } from './cassette.js';
+import { reconcileQuotes } from './currencies.js';
+import {
+  dateRange,
+  isPublicationDay,
+  previousPublicationDay,
+  targetDate,
+} from './dates.js';
+import { diffFiles, MemorySink } from './dryrun.js';
+import {
+  formatLatest,
+  getFormat,
+  upsertRow,
+  withFormats,
+  writeRow,
+} from './formats.js';
+import { Logger } from './logger.js';
+import { writeManifest } from './manifest.js';
+import { measureStaleness, RunMetrics } from './metrics.js';
+import { Notifier } from './notify.js';
+import { createProvider } from './providers.js';
+import { QuotaLedger, RateLimiter } from './quota.js';
+import { RunReport } from './report.js';
+import { Transaction } from './transaction.js';
 import {
-  appendLine,
-  env,
   Fetcher,
   HttpClient,
+  rebase,
+  upsertLine,
   writeLine,
 } from './utils.js';
 
-const CONFIG = (() => {
-  const quotes = `
-    AED AFN ALL AMD AOA ARS AUD AWG AZN BAM BBD BDT BHD BIF BMD BND
-    BOB BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE
-    CZK DJF DKK DOP DZD EGP ETB EUR FJD GBP GEL GHS GMD GNF GTQ GYD
-    HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR
-    KMF KRW KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MOP
-    MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PEN PGK
-    PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SOS
-    SRD SZL THB TJS TMT TND TRY TTD TWD TZS UAH UGX USD UYU UZS VES
-    VND XAF XCD XOF XPF YER ZAR ZMW
-  `
-    .trim()
-    .split(/\s+/);
-
-  const baseUrl = env('AF_API_BASE_URL'); // e.g.: https://example.org/api
-  const apiKey = env('AF_API_KEY');
-
-  const now = Date.now();
-  const day = 86400000;
-  const yesterday = new Date(now - day).toJSON().substring(0, 10);
+export {
+  convert,
+  getRate,
+  getSeries,
+  RateNotFoundError,
+  RateStore,
+} from './rates.js';
+
+/**
+ * @typedef {import('./config.js').Config} Config
+ */
+
+/**
+ * @param {Config} config
+ */
+const createLedger = (config) => {
+  return new QuotaLedger({
+    path: config.quotaPath,
+    limit: config.monthlyQuota,
+  });
+};
+
+/**
+ * @param {Config} config
+ */
+const createPaths = (config) => {
+  return {
+    /**
+     * @param {string} quote
+     * @param {string} base
+     * @returns {string}
+     */
+    daily: (quote, base) => {
+      return `${config.dataPath}/${base}/${quote}.csv`;
+    },
+
+    /**
+     * @param {string} quote
+     * @param {string} base
+     * @returns {string}
+     */
+    latest: (quote, base) => {
+      return `${config.dataPath}/${base}/${quote}.latest.csv`;
+    },
+
+    /**
+     * @param {string} base
+     * @returns {string}
+     */
+    combined: (base) => {
+      return `${config.dataPath}/${base}/latest.json`;
+    },
+  };
+};
+
+/**
+ * CSV handlers extended to the other configured formats, daily ones
+ * also keeping monthly and yearly aggregates up to date.
+ *
+ * @param {Config} config
+ */
+const createHandlers = (config) => {
+  const extra = config.formats
+    .filter((name) => name !== 'csv')
+    .map(getFormat);
 
   return {
-    retries: 3,
-    timeout: 2_000,
-    backoff: 3_000,
-    quotes,
-    url: `${baseUrl}/${yesterday}?access_key=${apiKey}`,
-    latestUrl: `${baseUrl}/latest?access_key=${apiKey}`,
-    basePath: `./data/v1`,
+    daily: withAggregates(withFormats(upsertLine, extra, upsertRow)),
+    latest: withFormats(writeLine, extra, writeRow),
   };
-})();
+};
+
+/**
+ * Writes every written latest rate of each base into one
+ * `latest.json`, leaving out quarantined ones.
+ *
+ * @param {Config} config
+ * @param {import('./providers.js').Rates} data
+ * @param {Record<string, any>} results latest handler results by path
+ * @param {import('./utils.js').FileIO} io
+ */
+const writeCombinedLatest = async (config, data, results, io) => {
+  const paths = createPaths(config);
+  const base = data.base || 'EUR';
+
+  for (const to of new Set([base, ...config.bases])) {
+    const rates =
+      to === base ? data : rebase(data, { from: base, to });
+
+    const quotes = config.quotes.filter((quote) => {
+      const path = paths.latest(quote, to);
+
+      return (
+        Object.hasOwn(results, path) &&
+        results[path] !== 'quarantined'
+      );
+    });
+
+    await io.write(
+      paths.combined(to),
+      formatLatest({ ...rates, base: to }, { quotes })
+    );
+  }
+};
+
+/**
+ * @param {QuotaLedger} ledger
+ * @param {Logger} logger
+ */
+const reportQuota = async (ledger, logger) => {
+  const { period, used, limit, remaining } = await ledger.status();
+
+  logger.info(
+    `Quota for "${period}": ${used}/${limit} requests used, ${remaining} remaining`,
+    { event: 'quota.status', period, used, limit, remaining }
+  );
+};
+
+/**
+ * @param {Config} config
+ * @param {QuotaLedger} ledger
+ * @param {Logger} logger
+ */
+const createHttpClient = (config, ledger, logger) => {
+  const dir = config.fixturesPath;
 
-export const main = async () => {
-  const httpClient = new HttpClient({
-    retries: CONFIG.retries,
-    timeout: CONFIG.timeout,
-    backoff: CONFIG.backoff,
+  if (config.httpMode === 'replay') {
+    return new HttpClient({ fetch: replayingFetch({ dir }), logger });
+  }
+
+  return new HttpClient({
+    retries: config.retries,
+    timeout: config.timeout,
+    backoff: config.backoff,
+    maxBackoff: config.maxBackoff,
+    jitter: config.jitter,
+    limiter: new RateLimiter({ capacity: config.rateLimit }),
+    ledger,
+    fetch:
+      config.httpMode === 'record'
+        ? recordingFetch({ dir })
+        : undefined,
+    logger,
+  });
+};
+
+/**
+ * @param {Config} config
+ */
+const createProviderFor = (config) => {
+  return createProvider(config.provider, {
+    baseUrl: config.apiBaseUrl,
+    apiKey: config.apiKey,
   });
+};
 
-  const fetcher = new Fetcher({
-    httpClient,
-    quotes: CONFIG.quotes,
+/**
+ * @param {Config} config
+ * @param {QuotaLedger} ledger
+ * @param {import('./providers.js').Provider} provider
+ * @param {Logger} logger
+ */
+const createFetcher = (config, ledger, provider, logger) => {
+  return new Fetcher({
+    httpClient: createHttpClient(config, ledger, logger),
+    quotes: config.quotes,
+    provider,
+    base: config.base || provider.base,
+    bases: config.bases,
+    detector: new AnomalyDetector({
+      thresholds: config.anomalyThresholds,
+      quarantinePath: config.quarantinePath,
+    }),
+    logger,
   });
+};
 
-  await fetcher.run(CONFIG.url, {
-    path: (quote) => `${CONFIG.basePath}/EUR/${quote}.csv`,
-    handler: appendLine,
+/**
+ * Reports currencies the provider and the configuration disagree on.
+ * Missing ones are left out of the run and warned about by the
+ * fetcher.
+ *
+ * @param {Config} config
+ * @param {import('./providers.js').Rates} data
+ * @param {Logger} logger
+ * @returns {import('./currencies.js').QuoteReport}
+ */
+const reportQuotes = (config, data, logger) => {
+  const report = reconcileQuotes(data, { quotes: config.quotes });
+
+  logger.debug('Reconciled provider currencies', {
+    event: 'quotes.reconciled',
+    ...report,
   });
 
-  await fetcher.run(CONFIG.latestUrl, {
-    path: (quote) => `${CONFIG.basePath}/EUR/${quote}.latest.csv`,
-    handler: writeLine,
+  if (report.unconfigured.length) {
+    logger.info(
+      `Provider returned ${report.unconfigured.length} unconfigured currencies: ${report.unconfigured.join(', ')}`
+    );
+  }
+
+  const warnings = {
+    unknown: 'Provider returned currencies unknown to ISO 4217',
+    historic: 'Withdrawn ISO 4217 currencies in use',
+  };
+
+  for (const [key, message] of Object.entries(warnings)) {
+    if (report[key].length) {
+      logger.warn(`${message}: ${report[key].join(', ')}`);
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Picks the date to write rates under, by default the last one rates
+ * are out for, and the date to fetch them of, which is the last
+ * publication day when carrying rates forward.
+ *
+ * @param {Config} config
+ * @param {Logger} logger
+ * @returns {{ date: string, source: string } | null} none when the
+ * date is skipped
+ */
+const planDate = (config, logger) => {
+  const date =
+    config.date ??
+    targetDate({ timeZone: config.timeZone, cutoff: config.cutoff });
+
+  if (isPublicationDay(date, config.holidays)) {
+    return { date, source: date };
+  }
+
+  if (config.nonPublication === 'skip') {
+    logger.info(`Skipping "${date}", no rates are published on it`, {
+      event: 'fetch.skipped',
+      date,
+    });
+
+    return null;
+  }
+
+  const source = previousPublicationDay(date, config.holidays);
+
+  logger.info(`Carrying "${source}" rates forward to "${date}"`, {
+    event: 'fetch.carried',
+    date,
+    source,
   });
+
+  return { date, source };
+};
+
+/**
+ * @param {Record<string, string>} results
+ * @returns {string}
+ */
+const summarize = (results) => {
+  const counts = {
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    quarantined: 0,
+  };
+
+  for (const status of Object.values(results)) {
+    counts[status]++;
+  }
+
+  return Object.entries(counts)
+    .map(([status, count]) => `${count} ${status}`)
+    .join(', ');
 };
 
-main();
+/**
+ * @param {Config} config
+ * @param {string} command
+ * @param {object=} options
+ * @param {boolean=} options.stderr
+ * @returns {Logger}
+ */
+const createLogger = (config, command, options = {}) => {
+  return new Logger({
+    level: config.logLevel,
+    format: config.logFormat,
+    fields: { command },
+    stderr: options.stderr,
+  });
+};
+
+/**
+ * Runs `command` with a logger whose entries also make up the run
+ * report, written to `reportPath` once done, whether it failed or not,
+ * and metrics, written to `metricsPath` if set. Configured webhooks
+ * are notified last. Failing to do so never hides the error of a
+ * failed run.
+ *
+ * @template T
+ *
+ * @param {Config} config
+ * @param {string} command
+ * @param {(logger: Logger) => Promise<T>} run
+ * @returns {Promise<T>}
+ */
+const withRunReport = async (config, command, run) => {
+  const logger = createLogger(config, command);
+
+  const report = new RunReport({ command });
+  const metrics = new RunMetrics({ command });
+
+  logger.listen((entry) => report.observe(entry));
+  logger.listen((entry) => metrics.observe(entry));
+
+  /**
+   * @param {unknown=} error
+   */
+  const finish = async (error) => {
+    const result = await report.write(config.reportPath, error);
+
+    if (!config.metricsPath && !config.notifications.length) {
+      return;
+    }
+
+    const staleness = await measureStaleness({
+      dataPath: config.dataPath,
+      bases: config.bases,
+      quotes: config.quotes,
+    });
+
+    if (config.metricsPath) {
+      await metrics.write(config.metricsPath, { error, staleness });
+    }
+
+    if (config.notifications.length) {
+      const notifier = new Notifier({
+        targets: config.notifications,
+        logger,
+      });
+
+      await notifier.notify(result, {
+        staleness,
+        staleAfter: config.staleAfter,
+      });
+    }
+  };
+
+  let result;
+
+  try {
+    result = await run(logger);
+  } catch (error) {
+    // the run's own error matters more than one finishing it
+    try {
+      await finish(error);
+    } catch (finishError) {
+      logger.error(
+        `Failed to finish the run: ${finishError.message}`
+      );
+    }
+
+    throw error;
+  }
+
+  await finish();
+
+  return result;
+};
+
+/**
+ * Fetches rates of the configured date into daily datasets, and latest
+ * rates into `*.latest.csv` files, all or nothing. Dates rates are not
+ * published on are skipped, or get the last rates flagged as carried
+ * forward, depending on `nonPublication`.
+ *
+ * A dry run fetches just the same but keeps writes in memory, leaving
+ * files, the manifest included, as they are, and writes no run report,
+ * metrics or notifications either. Its logs go to stderr, leaving
+ * stdout to the changes.
+ *
+ * @param {Config} config
+ * @param {object=} options
+ * @param {boolean=} options.dryRun
+ * @returns {Promise<import('./dryrun.js').FileDiff[] | void>} changes a
+ * dry run would have made
+ */
+export const fetchRates = async (config, options = {}) => {
+  const { dryRun = false } = options;
+
+  /**
+   * @param {Logger} logger
+   */
+  const run = async (logger) => {
+    const plan = planDate(config, logger);
+
+    if (!plan) {
+      return dryRun ? [] : undefined;
+    }
+
+    const { date, source } = plan;
+    const ledger = createLedger(config);
+    const provider = createProviderFor(config);
+    const fetcher = createFetcher(config, ledger, provider, logger);
+    const paths = createPaths(config);
+    const handlers = createHandlers(config);
+    const transaction = dryRun ? new MemorySink() : new Transaction();
+
+    try {
+      const fetched = await fetcher.fetch(
+        provider.url(source),
+        source
+      );
+
+      const data =
+        source === date
+          ? fetched
+          : { ...fetched, date, carried: true };
+
+      reportQuotes(config, data, logger);
+
+      const results = await fetcher.write(data, {
+        date,
+        path: paths.daily,
+        handler: handlers.daily,
+        transaction,
+      });
+
+      const latest = await fetcher.fetch(
+        provider.url('latest'),
+        'latest'
+      );
+
+      const latestResults = await fetcher.write(latest, {
+        date: 'latest',
+        path: paths.latest,
+        handler: handlers.latest,
+        transaction,
+      });
+
+      if (config.formats.includes('json')) {
+        await writeCombinedLatest(
+          config,
+          latest,
+          latestResults,
+          transaction
+        );
+      }
+
+      if (dryRun) {
+        logger.info(summarize(results));
+
+        return diffFiles(transaction);
+      }
+
+      await transaction.commit();
+      await writeManifest({ dataPath: config.dataPath });
+
+      logger.info(summarize(results));
+    } catch (error) {
+      await transaction.rollback();
+
+      throw error;
+    } finally {
+      await reportQuota(ledger, logger);
+    }
+  };
+
+  return dryRun
+    ? run(createLogger(config, 'fetch', { stderr: true }))
+    : withRunReport(config, 'fetch', run);
+};
+
+/**
+ * Fetches every day from `from` to `to`, skipping days rates are not
+ * published on or carrying rates forward to them like `fetchRates`.
+ *
+ * @param {Config} config
+ * @param {string} from
+ * @param {string} to
+ */
+export const backfill = async (config, from, to) => {
+  await withRunReport(config, 'backfill', async (logger) => {
+    const ledger = createLedger(config);
+    const provider = createProviderFor(config);
+    const fetcher = createFetcher(config, ledger, provider, logger);
+
+    const job = new Backfill({
+      fetcher,
+      statePath: config.backfillStatePath,
+      holidays: config.holidays,
+      carry: config.nonPublication === 'carry',
+      logger,
+    });
+
+    const options = {
+      path: createPaths(config).daily,
+      handler: createHandlers(config).daily,
+    };
+
+    try {
+      if (provider.history) {
+        const url = provider.history(from);
+        const days = await fetcher.fetchAll(url);
+
+        await job.import(from, to, days, options);
+      } else {
+        const { remaining } = await ledger.status();
+        const requests = dateRange(from, to).filter((date) => {
+          return isPublicationDay(date, config.holidays);
+        }).length;
+
+        if (requests > remaining) {
+          logger.warn(
+            `Backfill needs ${requests} requests but only ${remaining} remain in quota, it will stop when they run out`
+          );
+        }
+
+        await job.run(from, to, {
+          ...options,
+          url: (date) => provider.url(date),
+        });
+      }
+
+      await writeManifest({ dataPath: config.dataPath });
+    } finally {
+      await reportQuota(ledger, logger);
+    }
+  });
+};
@@ -0,0 +1,238 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadConfig } from './config.js';
+import { backfill, fetchRates } from './index.js';
+
+const fixtures = new URL('./fixtures/http', import.meta.url).pathname;
+
+describe('replayed runs', () => {
+  let dir;
+
+  /**
+   * @param {Record<string, string>=} env overriding the defaults
+   * @returns {Promise<import('./config.js').Config>}
+   */
+  const replayConfig = (env = {}) => {
+    return loadConfig({
+      env: {
+        AF_PROVIDER: 'fixer',
+        AF_API_BASE_URL: 'https://example.org/api',
+        AF_API_KEY: 'secret',
+        AF_QUOTES: 'GBP,JPY,USD',
+        AF_BASES: 'EUR,USD',
+        AF_HTTP_MODE: 'replay',
+        AF_HTTP_FIXTURES: fixtures,
+        AF_DATA_PATH: join(dir, 'v1'),
+        AF_QUOTA_PATH: join(dir, 'quota.json'),
+        AF_BACKFILL_STATE_PATH: join(dir, 'backfill.json'),
+        AF_QUARANTINE_PATH: join(dir, 'quarantine.ndjson'),
+        AF_REPORT_PATH: join(dir, 'report.json'),
+        ...env,
+      },
+    });
+  };
+
+  /**
+   * @param {string} path relative to the data directory
+   * @returns {Promise<string>}
+   */
+  const read = (path) => {
+    return readFile(join(dir, 'v1', path), 'utf-8');
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'index-'));
+
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+      mock.method(console, level, () => {});
+    }
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should reproduce a fetch from fixtures', async () => {
+    await fetchRates(await replayConfig({ AF_DATE: '2024-01-03' }));
+
+    assert.equal(await read('EUR/USD.csv'), '2024-01-03,1.0919\n');
+    assert.equal(
+      await read('USD/GBP.csv'),
+      '2024-01-03,0.7908233355\n'
+    );
+    assert.equal(
+      await read('EUR/JPY.latest.csv'),
+      '2024-01-05,158.08\n'
+    );
+
+    const report = JSON.parse(
+      await readFile(join(dir, 'report.json'), 'utf-8')
+    );
+
+    assert.equal(report.status, 'succeeded');
+    assert.deepEqual(
+      report.requests.map((request) => request.url),
+      [
+        'https://example.org/api/2024-01-03?access_key=REDACTED',
+        'https://example.org/api/latest?access_key=REDACTED',
+      ]
+    );
+  });
+
+  it('should leave out quotes missing from responses', async () => {
+    await fetchRates(
+      await replayConfig({
+        AF_QUOTES: 'GBP,JPY,USD,CHF',
+        AF_DATE: '2024-01-03',
+      })
+    );
+
+    assert.equal(await read('EUR/USD.csv'), '2024-01-03,1.0919\n');
+    await assert.rejects(read('EUR/CHF.csv'), { code: 'ENOENT' });
+
+    const report = JSON.parse(
+      await readFile(join(dir, 'report.json'), 'utf-8')
+    );
+
+    assert.equal(report.status, 'succeeded');
+    assert.deepEqual(
+      report.writes.map((write) => write.missing),
+      [
+        ['EUR/CHF', 'USD/CHF'],
+        ['EUR/CHF', 'USD/CHF'],
+      ]
+    );
+  });
+
+  it('should reproduce a backfill from fixtures', async () => {
+    await backfill(await replayConfig(), '2024-01-02', '2024-01-03');
+
+    assert.equal(
+      await read('EUR/GBP.csv'),
+      '2024-01-02,0.86838\n2024-01-03,0.8635\n'
+    );
+    assert.equal(
+      await read('EUR/GBP.monthly.csv'),
+      'period,mean,min,max,open,close,count\n' +
+        '2024-01,0.86594,0.8635,0.86838,0.86838,0.8635,2\n'
+    );
+  });
+
+  it('should skip dates without publications', async () => {
+    await fetchRates(await replayConfig({ AF_DATE: '2024-01-06' }));
+
+    await assert.rejects(read('EUR/USD.csv'), { code: 'ENOENT' });
+
+    const report = JSON.parse(
+      await readFile(join(dir, 'report.json'), 'utf-8')
+    );
+
+    assert.equal(report.status, 'succeeded');
+    assert.deepEqual(report.requests, []);
+  });
+
+  it('should carry the last publication forward', async () => {
+    await fetchRates(
+      await replayConfig({
+        AF_DATE: '2024-01-06',
+        AF_NON_PUBLICATION: 'carry',
+      })
+    );
+
+    assert.equal(
+      await read('EUR/USD.csv'),
+      '2024-01-06,1.0921,carried\n'
+    );
+    assert.equal(
+      await read('USD/GBP.csv'),
+      '2024-01-06,0.7881604249,carried\n'
+    );
+    assert.equal(
+      await read('EUR/USD.latest.csv'),
+      '2024-01-05,1.0921\n'
+    );
+  });
+
+  it('should carry rates forward over backfilled weekends', async () => {
+    await backfill(
+      await replayConfig({ AF_NON_PUBLICATION: 'carry' }),
+      '2024-01-05',
+      '2024-01-07'
+    );
+
+    assert.equal(
+      await read('EUR/USD.csv'),
+      '2024-01-05,1.0921\n' +
+        '2024-01-06,1.0921,carried\n' +
+        '2024-01-07,1.0921,carried\n'
+    );
+
+    const report = JSON.parse(
+      await readFile(join(dir, 'report.json'), 'utf-8')
+    );
+
+    assert.equal(report.requests.length, 1);
+  });
+
+  it('should fetch ECB rates with EUR among quotes', async () => {
+    await fetchRates(
+      await replayConfig({
+        AF_PROVIDER: 'ecb',
+        AF_API_BASE_URL: 'https://example.org/eurofxref',
+        AF_QUOTES: 'EUR,GBP,USD',
+        AF_DATE: '2024-01-03',
+      })
+    );
+
+    assert.equal(await read('EUR/EUR.csv'), '2024-01-03,1\n');
+    assert.equal(await read('EUR/GBP.csv'), '2024-01-03,0.8635\n');
+    assert.equal(
+      await read('USD/EUR.csv'),
+      '2024-01-03,0.9158347834\n'
+    );
+    assert.equal(
+      await read('EUR/USD.latest.csv'),
+      '2024-01-05,1.0921\n'
+    );
+  });
+
+  it('should reject rates against another base', async () => {
+    await assert.rejects(
+      fetchRates(
+        await replayConfig({ AF_BASE: 'USD', AF_DATE: '2024-01-03' })
+      ),
+      /base: must be "USD", got "EUR"/
+    );
+
+    await assert.rejects(read('EUR/USD.csv'), { code: 'ENOENT' });
+  });
+
+  it('should rethrow run errors over report errors', async () => {
+    await assert.rejects(
+      fetchRates(
+        await replayConfig({
+          AF_DATE: '2024-01-04',
+          AF_REPORT_PATH: dir,
+        })
+      ),
+      /No recording for/
+    );
+
+    assert.match(
+      console.error.mock.calls.at(-1).arguments[0],
+      /^Failed to finish the run: EISDIR/
+    );
+  });
+
+  it('should fail on requests missing from fixtures', async () => {
+    await assert.rejects(
+      fetchRates(await replayConfig({ AF_DATE: '2024-01-04' })),
+      /No recording for "https:\/\/example\.org\/api\/2024-01-04\?access_key=REDACTED"/
+    );
+  });
+});
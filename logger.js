@@ -0,0 +1,198 @@
+/**
+ * Query parameters holding credentials, never written to fixtures or
+ * logs.
+ */
+const SECRET_PARAMS = [
+  'access_key',
+  'api_key',
+  'apikey',
+  'app_id',
+  'key',
+  'token',
+];
+
+/**
+ * @param {string} url
+ * @returns {string} as is when it holds no credentials
+ */
+export const redactUrl = (url) => {
+  const parsed = new URL(url);
+
+  const secrets = [...parsed.searchParams.keys()].filter((name) => {
+    return SECRET_PARAMS.includes(name.toLowerCase());
+  });
+
+  if (!secrets.length) {
+    return url;
+  }
+
+  for (const name of secrets) {
+    parsed.searchParams.set(name, 'REDACTED');
+  }
+
+  return parsed.toString();
+};
+
+/**
+ * Redacts credentials of every URL found in free text, e.g. an error
+ * message.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const redactText = (text) => {
+  const pattern = new RegExp(
+    `([?&](?:${SECRET_PARAMS.join('|')})=)[^&#\\s"'\\\\]+`,
+    'gi'
+  );
+
+  return text.replace(pattern, '$1REDACTED');
+};
+
+/**
+ * From the most to the least verbose.
+ */
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * @typedef {'debug' | 'info' | 'warn' | 'error'} Level
+ */
+
+/**
+ * @typedef {object} LogEntry
+ * @property {string} time ISO time
+ * @property {Level} level
+ * @property {string} message
+ * @property {string=} event machine-readable kind, e.g. `http.request`
+ */
+
+/**
+ * Leveled logger printing either plain messages or one JSON entry per
+ * line. Listeners get every entry, whatever the level, e.g. to build a
+ * run report.
+ */
+export class Logger {
+  /**
+   * @type {Level}
+   */
+  #level;
+
+  /**
+   * @type {'text' | 'json'}
+   */
+  #format;
+
+  /**
+   * @type {Record<string, any>}
+   */
+  #fields;
+
+  /**
+   * @type {((entry: LogEntry) => void)[]}
+   */
+  #listeners;
+
+  /**
+   * @type {boolean}
+   */
+  #stderr;
+
+  /**
+   * @param {object} options
+   * @param {Level=} options.level least severe one printed, `info` by
+   * default
+   * @param {('text' | 'json')=} options.format `text` by default
+   * @param {Record<string, any>=} options.fields added to every entry
+   * @param {((entry: LogEntry) => void)[]=} options.listeners
+   * @param {boolean=} options.stderr whether to print every level to
+   * stderr, leaving stdout to a command's output
+   */
+  constructor(options = {}) {
+    this.#level = options.level || 'info';
+    this.#format = options.format || 'text';
+    this.#fields = options.fields || {};
+    this.#listeners = options.listeners || [];
+    this.#stderr = options.stderr || false;
+  }
+
+  /**
+   * @param {Record<string, any>} fields added to every entry of the
+   * child, which shares listeners with its parent
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({
+      level: this.#level,
+      format: this.#format,
+      fields: { ...this.#fields, ...fields },
+      listeners: this.#listeners,
+      stderr: this.#stderr,
+    });
+  }
+
+  /**
+   * @param {(entry: LogEntry) => void} listener
+   */
+  listen(listener) {
+    this.#listeners.push(listener);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, any>=} fields
+   */
+  debug(message, fields) {
+    this.#log('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, any>=} fields
+   */
+  info(message, fields) {
+    this.#log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, any>=} fields
+   */
+  warn(message, fields) {
+    this.#log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Record<string, any>=} fields
+   */
+  error(message, fields) {
+    this.#log('error', message, fields);
+  }
+
+  /**
+   * @param {Level} level
+   * @param {string} message
+   * @param {Record<string, any>=} fields
+   */
+  #log(level, message, fields = {}) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...this.#fields,
+      ...fields,
+    };
+
+    for (const listener of this.#listeners) {
+      listener(entry);
+    }
+
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.#level)) {
+      return;
+    }
+
+    console[this.#stderr ? 'error' : level](
+      this.#format === 'json' ? JSON.stringify(entry) : message
+    );
+  }
+}
@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, redactText, redactUrl } from './logger.js';
+
+describe('redactUrl', () => {
+  it('should redact credentials whatever their case', () => {
+    assert.equal(
+      redactUrl('https://example.org/api?Access_Key=secret&base=EUR'),
+      'https://example.org/api?Access_Key=REDACTED&base=EUR'
+    );
+  });
+
+  it('should leave URLs without credentials as they are', () => {
+    assert.equal(
+      redactUrl('https://example.org?base=EUR'),
+      'https://example.org?base=EUR'
+    );
+  });
+});
+
+describe('redactText', () => {
+  it('should redact credentials of URLs in text', () => {
+    assert.equal(
+      redactText(
+        'HTTP 401 on "https://example.org/api?base=EUR&apikey=secret"'
+      ),
+      'HTTP 401 on "https://example.org/api?base=EUR&apikey=REDACTED"'
+    );
+  });
+});
+
+describe('Logger', () => {
+  beforeEach(() => {
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+      mock.method(console, level, () => {});
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('should print plain messages from the configured level', () => {
+    const logger = new Logger({ level: 'warn' });
+
+    logger.info('Fetched');
+    logger.warn('Retrying', { attempt: 1 });
+
+    assert.equal(console.info.mock.callCount(), 0);
+    assert.deepEqual(console.warn.mock.calls[0].arguments, [
+      'Retrying',
+    ]);
+  });
+
+  it('should print JSON entries with child fields', () => {
+    const logger = new Logger({ format: 'json' }).child({
+      command: 'fetch',
+    });
+
+    logger.error('Failed', { event: 'http.request', attempts: 2 });
+
+    const entry = JSON.parse(
+      console.error.mock.calls[0].arguments[0]
+    );
+
+    assert.match(entry.time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(
+      { ...entry, time: undefined },
+      {
+        time: undefined,
+        level: 'error',
+        message: 'Failed',
+        command: 'fetch',
+        event: 'http.request',
+        attempts: 2,
+      }
+    );
+  });
+
+  it('should print every level to stderr if asked', () => {
+    const logger = new Logger({ stderr: true }).child({
+      command: 'fetch',
+    });
+
+    logger.info('Fetched');
+    logger.warn('Retrying');
+
+    assert.equal(console.info.mock.callCount(), 0);
+    assert.deepEqual(
+      console.error.mock.calls.map((call) => call.arguments[0]),
+      ['Fetched', 'Retrying']
+    );
+  });
+
+  it('should pass every entry to listeners', () => {
+    const entries = [];
+    const logger = new Logger();
+
+    logger.listen((entry) => entries.push(entry));
+    logger.child({ command: 'fetch' }).debug('Fetched');
+
+    assert.equal(console.debug.mock.callCount(), 0);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].command, 'fetch');
+  });
+});
@@ -0,0 +1,130 @@
+import { createHash } from 'crypto';
+import { stat } from 'fs/promises';
+import { join } from 'path';
+import { PERIODS } from './aggregates.js';
+import { formats } from './formats.js';
+import { Transaction } from './transaction.js';
+import { fileSystem, listDirectory } from './utils.js';
+
+/**
+ * @typedef {object} FileEntry
+ * @property {number} size in bytes
+ * @property {string} sha256 hex digest
+ * @property {string} updatedAt ISO time of the last write
+ */
+
+/**
+ * @typedef {object} QuoteEntry
+ * @property {string | null} from first date of the daily dataset
+ * @property {string | null} to last date of the daily dataset
+ * @property {number} rows of the daily dataset
+ * @property {string | null} updatedAt ISO time of the latest write to
+ * any of the quote files
+ * @property {Record<string, FileEntry>} files by name, e.g. `USD.csv`
+ */
+
+/**
+ * @typedef {object} Manifest
+ * @property {string} generatedAt
+ * @property {Record<string, Record<string, QuoteEntry>>} bases quote
+ * entries by base and quote currency
+ */
+
+/**
+ * Every per-quote dataset in any format, `latest` ones and aggregates
+ * included.
+ */
+const DATASET = new RegExp(
+  `^([A-Z]{3})(?:\\.(?:latest|${Object.keys(PERIODS).join('|')}))?\\.(?:${Object.keys(formats).join('|')})$`
+);
+
+/**
+ * Describes every dataset under `dataPath`, which is expected to hold
+ * a directory per base currency.
+ *
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @returns {Promise<Manifest>}
+ */
+export const buildManifest = async (options) => {
+  const { dataPath } = options;
+  const bases = {};
+
+  for (const base of await listDirectory(dataPath)) {
+    if (!/^[A-Z]{3}$/.test(base)) {
+      continue;
+    }
+
+    const quotes = {};
+
+    for (const name of await listDirectory(join(dataPath, base))) {
+      const match = DATASET.exec(name);
+
+      if (!match) {
+        continue;
+      }
+
+      const [, quote] = match;
+      const path = join(dataPath, base, name);
+      const content = await fileSystem.read(path);
+      const { size, mtime } = await stat(path);
+
+      quotes[quote] ??= {
+        from: null,
+        to: null,
+        rows: 0,
+        updatedAt: null,
+        files: {},
+      };
+
+      const entry = quotes[quote];
+      const updatedAt = mtime.toISOString();
+
+      entry.files[name] = {
+        size,
+        sha256: createHash('sha256').update(content).digest('hex'),
+        updatedAt,
+      };
+
+      if (!entry.updatedAt || updatedAt > entry.updatedAt) {
+        entry.updatedAt = updatedAt;
+      }
+
+      if (name === `${quote}.csv`) {
+        const rows = formats.csv.parse(content);
+
+        entry.from = rows[0]?.date ?? null;
+        entry.to = rows.at(-1)?.date ?? null;
+        entry.rows = rows.length;
+      }
+    }
+
+    if (Object.keys(quotes).length) {
+      bases[base] = quotes;
+    }
+  }
+
+  return { generatedAt: new Date().toISOString(), bases };
+};
+
+/**
+ * Writes the manifest of `dataPath` to its `index.json`, replacing the
+ * previous one at once.
+ *
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @returns {Promise<Manifest>}
+ */
+export const writeManifest = async (options) => {
+  const manifest = await buildManifest(options);
+  const transaction = new Transaction();
+
+  await transaction.write(
+    join(options.dataPath, 'index.json'),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+
+  await transaction.commit();
+
+  return manifest;
+};
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildManifest, writeManifest } from './manifest.js';
+
+/**
+ * @param {string} content
+ * @returns {string}
+ */
+const sha256 = (content) => {
+  return createHash('sha256').update(content).digest('hex');
+};
+
+describe('buildManifest', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'manifest-'));
+
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-02,1.1\n2024-01-03,1.2\n2024-01-04,1.3\n'
+    );
+    await writeFile(
+      join(dir, 'EUR', 'USD.latest.csv'),
+      '2024-01-04,1.3\n'
+    );
+    await writeFile(join(dir, 'EUR', 'GBP.latest.json'), '[]\n');
+    await writeFile(join(dir, 'EUR', 'latest.json'), '{}\n');
+    await mkdir(join(dir, 'tmp'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should describe every dataset by base and quote', async () => {
+    const manifest = await buildManifest({ dataPath: dir });
+
+    assert.deepEqual(Object.keys(manifest.bases), ['EUR']);
+    assert.deepEqual(Object.keys(manifest.bases.EUR), ['GBP', 'USD']);
+
+    const { USD, GBP } = manifest.bases.EUR;
+
+    assert.equal(USD.from, '2024-01-02');
+    assert.equal(USD.to, '2024-01-04');
+    assert.equal(USD.rows, 3);
+    assert.deepEqual(Object.keys(USD.files), [
+      'USD.csv',
+      'USD.latest.csv',
+    ]);
+
+    assert.equal(
+      USD.files['USD.latest.csv'].sha256,
+      sha256('2024-01-04,1.3\n')
+    );
+    assert.equal(USD.files['USD.latest.csv'].size, 15);
+    assert.match(USD.updatedAt, /^\d{4}-\d{2}-\d{2}T/);
+
+    assert.equal(GBP.from, null);
+    assert.equal(GBP.rows, 0);
+  });
+
+  it('should write manifest to index.json', async () => {
+    const manifest = await writeManifest({ dataPath: dir });
+
+    assert.deepEqual(
+      JSON.parse(await readFile(join(dir, 'index.json'), 'utf-8')),
+      manifest
+    );
+
+    const again = await buildManifest({ dataPath: dir });
+
+    assert.deepEqual(again.bases, manifest.bases);
+  });
+});
@@ -0,0 +1,451 @@
+import { join } from 'path';
+import { formats } from './formats.js';
+import { Transaction } from './transaction.js';
+import { fileSystem } from './utils.js';
+
+const PREFIX = 'asteroids_fetcher';
+
+/**
+ * @typedef {object} Sample
+ * @property {string} name without the prefix
+ * @property {Record<string, string>=} labels
+ * @property {number} value
+ */
+
+/**
+ * @typedef {object} Metric
+ * @property {string} name without the prefix
+ * @property {'gauge' | 'counter' | 'summary'} type
+ * @property {string} help
+ * @property {Sample[]} samples
+ */
+
+/**
+ * Groups requests to the same endpoint, e.g. `data.fixer.io/api/:date`
+ * for every dated request, leaving queries out.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export const endpointOf = (url) => {
+  const { host, pathname } = new URL(url);
+
+  return `${host}${pathname.replace(/\d{4}-\d{2}-\d{2}/g, ':date')}`;
+};
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeLabel = (value) => {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+};
+
+/**
+ * Renders metrics in the Prometheus text exposition format.
+ *
+ * @param {Metric[]} metrics
+ * @returns {string}
+ */
+export const formatMetrics = (metrics) => {
+  return metrics
+    .filter((metric) => metric.samples.length)
+    .map((metric) => {
+      const name = `${PREFIX}_${metric.name}`;
+
+      const samples = metric.samples.map((sample) => {
+        const labels = Object.entries(sample.labels || {})
+          .map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+          .join(',');
+
+        return `${PREFIX}_${sample.name}${labels ? `{${labels}}` : ''} ${sample.value}`;
+      });
+
+      return [
+        `# HELP ${name} ${metric.help}`,
+        `# TYPE ${name} ${metric.type}`,
+        ...samples,
+      ].join('\n');
+    })
+    .map((block) => `${block}\n`)
+    .join('');
+};
+
+/**
+ * @param {string} content of a previous metrics file
+ * @param {string} command
+ * @returns {number | null} last successful run of `command`, in
+ * seconds since the epoch
+ */
+export const readLastSuccess = (content, command) => {
+  const line = content.split('\n').find((line) => {
+    return line.startsWith(
+      `${PREFIX}_last_success_timestamp_seconds{command="${command}"} `
+    );
+  });
+
+  return line ? Number(line.split(' ').at(-1)) : null;
+};
+
+/**
+ * @param {string} value escaped by `escapeLabel`
+ * @returns {string}
+ */
+const unescapeLabel = (value) => {
+  return value.replace(/\\(.)/g, (match, char) => {
+    return char === 'n' ? '\n' : char;
+  });
+};
+
+/**
+ * Reads samples back from a metrics file written by `formatMetrics`.
+ *
+ * @param {string} content
+ * @returns {Map<string, Sample[]>} by metric name, without the prefix
+ */
+export const readSamples = (content) => {
+  const samples = new Map();
+  let metric;
+
+  for (const line of content.split('\n')) {
+    const header = line.match(/^# (?:HELP|TYPE) (\w+)/);
+
+    if (header) {
+      metric = header[1].slice(PREFIX.length + 1);
+      continue;
+    }
+
+    const sample = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+
+    if (!sample || !metric) {
+      continue;
+    }
+
+    const labels = Object.fromEntries(
+      [
+        ...(sample[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g),
+      ].map(([, key, value]) => [key, unescapeLabel(value)])
+    );
+
+    if (!samples.has(metric)) {
+      samples.set(metric, []);
+    }
+
+    samples.get(metric).push({
+      name: sample[1].slice(PREFIX.length + 1),
+      labels,
+      value: Number(sample[3]),
+    });
+  }
+
+  return samples;
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @param {string[]} options.bases
+ * @param {string[]} options.quotes
+ * @param {number=} options.now
+ * @returns {Promise<Sample[]>} seconds since the last date of every
+ * daily dataset found
+ */
+export const measureStaleness = async (options) => {
+  const now = options.now ?? Date.now();
+  const samples = [];
+
+  for (const base of options.bases) {
+    for (const quote of options.quotes) {
+      if (quote === base) {
+        continue;
+      }
+
+      const content = await fileSystem.read(
+        join(options.dataPath, base, `${quote}.csv`)
+      );
+
+      const last = formats.csv.parse(content).at(-1);
+
+      if (last) {
+        samples.push({
+          name: 'data_staleness_seconds',
+          labels: { base, quote },
+          value: Math.round((now - Date.parse(last.date)) / 1000),
+        });
+      }
+    }
+  }
+
+  return samples;
+};
+
+/**
+ * Counts what one run did out of the log entries it listens to, for
+ * node_exporter's textfile collector.
+ */
+export class RunMetrics {
+  /**
+   * @type {string}
+   */
+  #command;
+
+  /**
+   * @type {number}
+   */
+  #startedAt;
+
+  /**
+   * @type {Map<string, { success: number, failure: number, retries: number, durationMs: number }>}
+   */
+  #endpoints = new Map();
+
+  /**
+   * @type {Record<'written' | 'unchanged' | 'quarantined' | 'failed' | 'missing', number>}
+   */
+  #quotes = {
+    written: 0,
+    unchanged: 0,
+    quarantined: 0,
+    failed: 0,
+    missing: 0,
+  };
+
+  /**
+   * @type {number}
+   */
+  #validationFailures = 0;
+
+  /**
+   * @param {object} options
+   * @param {string} options.command e.g. `fetch`
+   */
+  constructor(options) {
+    this.#command = options.command;
+    this.#startedAt = Date.now();
+  }
+
+  /**
+   * Picks up request, retry, validation and write entries, see
+   * `Logger.listen`.
+   *
+   * @param {import('./logger.js').LogEntry & Record<string, any>} entry
+   */
+  observe(entry) {
+    if (
+      entry.event === 'http.request' ||
+      entry.event === 'http.retry'
+    ) {
+      const endpoint = endpointOf(entry.url);
+
+      if (!this.#endpoints.has(endpoint)) {
+        this.#endpoints.set(endpoint, {
+          success: 0,
+          failure: 0,
+          retries: 0,
+          durationMs: 0,
+        });
+      }
+
+      const stats = this.#endpoints.get(endpoint);
+
+      if (entry.event === 'http.retry') {
+        stats.retries++;
+      } else {
+        stats[entry.error ? 'failure' : 'success']++;
+        stats.durationMs += entry.durationMs;
+      }
+    }
+
+    if (entry.event === 'rates.invalid') {
+      this.#validationFailures++;
+    }
+
+    if (entry.event === 'fetcher.write') {
+      for (const status of Object.keys(this.#quotes)) {
+        this.#quotes[status] += entry[status].length;
+      }
+    }
+  }
+
+  /**
+   * @param {object} options
+   * @param {unknown=} options.error that ended the run, if any
+   * @param {number | null} options.lastSuccess of an earlier run, kept
+   * when this one failed
+   * @param {Sample[]=} options.staleness
+   * @returns {Metric[]}
+   */
+  collect(options) {
+    const endedAt = Date.now();
+    const command = { command: this.#command };
+    const endpoints = [...this.#endpoints];
+
+    const lastSuccess = options.error
+      ? options.lastSuccess
+      : endedAt / 1000;
+
+    return [
+      {
+        name: 'last_run_timestamp_seconds',
+        type: 'gauge',
+        help: 'End of the last run.',
+        samples: [
+          {
+            name: 'last_run_timestamp_seconds',
+            labels: command,
+            value: endedAt / 1000,
+          },
+        ],
+      },
+      {
+        name: 'last_run_success',
+        type: 'gauge',
+        help: 'Whether the last run succeeded.',
+        samples: [
+          {
+            name: 'last_run_success',
+            labels: command,
+            value: options.error ? 0 : 1,
+          },
+        ],
+      },
+      {
+        name: 'last_success_timestamp_seconds',
+        type: 'gauge',
+        help: 'End of the last successful run.',
+        samples:
+          lastSuccess === null
+            ? []
+            : [
+                {
+                  name: 'last_success_timestamp_seconds',
+                  labels: command,
+                  value: lastSuccess,
+                },
+              ],
+      },
+      {
+        name: 'run_duration_seconds',
+        type: 'gauge',
+        help: 'Duration of the last run.',
+        samples: [
+          {
+            name: 'run_duration_seconds',
+            labels: command,
+            value: (endedAt - this.#startedAt) / 1000,
+          },
+        ],
+      },
+      {
+        name: 'http_requests',
+        type: 'gauge',
+        help: 'Requests made by the last run, retries aside.',
+        samples: endpoints.flatMap(([endpoint, stats]) => {
+          return ['success', 'failure'].map((outcome) => ({
+            name: 'http_requests',
+            labels: { ...command, endpoint, outcome },
+            value: stats[outcome],
+          }));
+        }),
+      },
+      {
+        name: 'http_request_duration_seconds',
+        type: 'summary',
+        help: 'Duration of requests made by the last run, retries included.',
+        samples: endpoints.flatMap(([endpoint, stats]) => [
+          {
+            name: 'http_request_duration_seconds_sum',
+            labels: { ...command, endpoint },
+            value: stats.durationMs / 1000,
+          },
+          {
+            name: 'http_request_duration_seconds_count',
+            labels: { ...command, endpoint },
+            value: stats.success + stats.failure,
+          },
+        ]),
+      },
+      {
+        name: 'http_retries',
+        type: 'gauge',
+        help: 'Retries made by the last run.',
+        samples: endpoints.map(([endpoint, stats]) => ({
+          name: 'http_retries',
+          labels: { ...command, endpoint },
+          value: stats.retries,
+        })),
+      },
+      {
+        name: 'quotes',
+        type: 'gauge',
+        help: 'Quotes handled by the last run, by outcome.',
+        samples: Object.entries(this.#quotes).map(
+          ([status, value]) => ({
+            name: 'quotes',
+            labels: { ...command, status },
+            value,
+          })
+        ),
+      },
+      {
+        name: 'validation_failures',
+        type: 'gauge',
+        help: 'Provider responses the last run rejected as invalid.',
+        samples: [
+          {
+            name: 'validation_failures',
+            labels: command,
+            value: this.#validationFailures,
+          },
+        ],
+      },
+      {
+        name: 'data_staleness_seconds',
+        type: 'gauge',
+        help: 'Time since the last date of each daily dataset.',
+        samples: options.staleness || [],
+      },
+    ];
+  }
+
+  /**
+   * Replaces the metrics file at once, as the textfile collector may
+   * read it anytime. Samples of other commands are kept, so `fetch`
+   * and `backfill` runs can share one file.
+   *
+   * @param {string} path should end with `.prom`
+   * @param {object} options
+   * @param {unknown=} options.error that ended the run, if any
+   * @param {Sample[]=} options.staleness
+   * @returns {Promise<void>}
+   */
+  async write(path, options) {
+    const content = await fileSystem.read(path);
+    const lastSuccess = readLastSuccess(content, this.#command);
+    const previous = readSamples(content);
+
+    const metrics = this.collect({ ...options, lastSuccess }).map(
+      (metric) => {
+        const others = (previous.get(metric.name) || []).filter(
+          (sample) => {
+            return (
+              sample.labels.command &&
+              sample.labels.command !== this.#command
+            );
+          }
+        );
+
+        return { ...metric, samples: [...others, ...metric.samples] };
+      }
+    );
+
+    const transaction = new Transaction();
+
+    await transaction.write(path, formatMetrics(metrics));
+
+    await transaction.commit();
+  }
+}
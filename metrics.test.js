@@ -0,0 +1,264 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  endpointOf,
+  formatMetrics,
+  measureStaleness,
+  readLastSuccess,
+  readSamples,
+  RunMetrics,
+} from './metrics.js';
+
+describe('endpointOf', () => {
+  it('should group dated requests', () => {
+    assert.equal(
+      endpointOf('https://data.fixer.io/api/2024-01-02?access_key=x'),
+      'data.fixer.io/api/:date'
+    );
+  });
+});
+
+describe('formatMetrics', () => {
+  it('should render the text format', () => {
+    assert.equal(
+      formatMetrics([
+        {
+          name: 'quotes',
+          type: 'gauge',
+          help: 'Quotes handled.',
+          samples: [
+            {
+              name: 'quotes',
+              labels: { status: 'written', note: 'a "b"' },
+              value: 2,
+            },
+          ],
+        },
+        { name: 'empty', type: 'gauge', help: 'None.', samples: [] },
+      ]),
+      '# HELP asteroids_fetcher_quotes Quotes handled.\n' +
+        '# TYPE asteroids_fetcher_quotes gauge\n' +
+        'asteroids_fetcher_quotes{status="written",note="a \\"b\\""} 2\n'
+    );
+  });
+});
+
+describe('RunMetrics', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'metrics-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * @param {string} content
+   * @param {string} sample
+   * @returns {number | undefined}
+   */
+  const valueOf = (content, sample) => {
+    const line = content
+      .split('\n')
+      .find((line) =>
+        line.startsWith(`asteroids_fetcher_${sample} `)
+      );
+
+    return line && Number(line.split(' ').at(-1));
+  };
+
+  it('should count requests, retries and quotes', async () => {
+    const metrics = new RunMetrics({ command: 'fetch' });
+    const url =
+      'https://example.org/api/2024-01-02?access_key=REDACTED';
+    const path = join(dir, 'fetcher.prom');
+
+    metrics.observe({ event: 'http.retry', url });
+    metrics.observe({
+      event: 'http.request',
+      url,
+      status: 200,
+      durationMs: 1500,
+    });
+    metrics.observe({ event: 'rates.invalid' });
+    metrics.observe({
+      event: 'fetcher.write',
+      written: ['EUR/USD', 'EUR/GBP'],
+      unchanged: [],
+      quarantined: ['EUR/JPY'],
+      failed: [],
+      missing: ['EUR/VES'],
+    });
+
+    await metrics.write(path, {
+      staleness: [
+        {
+          name: 'data_staleness_seconds',
+          labels: { base: 'EUR', quote: 'USD' },
+          value: 86400,
+        },
+      ],
+    });
+
+    const content = await readFile(path, 'utf-8');
+    const endpoint =
+      'command="fetch",endpoint="example.org/api/:date"';
+
+    assert.equal(
+      valueOf(
+        content,
+        `http_requests{${endpoint},outcome="success"}`
+      ),
+      1
+    );
+    assert.equal(valueOf(content, `http_retries{${endpoint}}`), 1);
+    assert.equal(
+      valueOf(
+        content,
+        `http_request_duration_seconds_sum{${endpoint}}`
+      ),
+      1.5
+    );
+    assert.equal(
+      valueOf(content, 'quotes{command="fetch",status="written"}'),
+      2
+    );
+    assert.equal(
+      valueOf(content, 'quotes{command="fetch",status="missing"}'),
+      1
+    );
+    assert.equal(
+      valueOf(content, 'validation_failures{command="fetch"}'),
+      1
+    );
+    assert.equal(
+      valueOf(
+        content,
+        'data_staleness_seconds{base="EUR",quote="USD"}'
+      ),
+      86400
+    );
+    assert.equal(
+      valueOf(content, 'last_run_success{command="fetch"}'),
+      1
+    );
+    assert.ok(readLastSuccess(content, 'fetch') > 0);
+  });
+
+  it('should keep the last success of earlier runs', async () => {
+    const path = join(dir, 'fetcher.prom');
+
+    await writeFile(
+      path,
+      'asteroids_fetcher_last_success_timestamp_seconds{command="fetch"} 1700000000\n'
+    );
+
+    await new RunMetrics({ command: 'fetch' }).write(path, {
+      error: new Error('Network error'),
+    });
+
+    const content = await readFile(path, 'utf-8');
+
+    assert.equal(readLastSuccess(content, 'fetch'), 1700000000);
+    assert.equal(
+      valueOf(content, 'last_run_success{command="fetch"}'),
+      0
+    );
+  });
+
+  it('should keep samples of other commands', async () => {
+    const path = join(dir, 'fetcher.prom');
+
+    await new RunMetrics({ command: 'fetch' }).write(path, {});
+    await new RunMetrics({ command: 'backfill' }).write(path, {
+      error: new Error('Network error'),
+    });
+
+    const content = await readFile(path, 'utf-8');
+
+    assert.equal(
+      valueOf(content, 'last_run_success{command="fetch"}'),
+      1
+    );
+    assert.equal(
+      valueOf(content, 'last_run_success{command="backfill"}'),
+      0
+    );
+    assert.ok(readLastSuccess(content, 'fetch') > 0);
+    assert.equal(
+      content.match(/^# TYPE asteroids_fetcher_last_run_success /gm)
+        .length,
+      1
+    );
+  });
+});
+
+describe('readSamples', () => {
+  it('should read samples back by metric', () => {
+    const samples = readSamples(
+      formatMetrics([
+        {
+          name: 'http_request_duration_seconds',
+          type: 'summary',
+          help: 'Duration.',
+          samples: [
+            {
+              name: 'http_request_duration_seconds_sum',
+              labels: { command: 'fetch', endpoint: 'a\\"b\nc' },
+              value: 1.5,
+            },
+          ],
+        },
+      ])
+    );
+
+    assert.deepEqual(samples.get('http_request_duration_seconds'), [
+      {
+        name: 'http_request_duration_seconds_sum',
+        labels: { command: 'fetch', endpoint: 'a\\"b\nc' },
+        value: 1.5,
+      },
+    ]);
+  });
+});
+
+describe('measureStaleness', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'staleness-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should measure time since the last date of datasets', async () => {
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-01,1.1\n2024-01-02,1.2\n'
+    );
+
+    assert.deepEqual(
+      await measureStaleness({
+        dataPath: dir,
+        bases: ['EUR'],
+        quotes: ['EUR', 'USD', 'GBP'],
+        now: Date.parse('2024-01-03T12:00:00Z'),
+      }),
+      [
+        {
+          name: 'data_staleness_seconds',
+          labels: { base: 'EUR', quote: 'USD' },
+          value: 129600,
+        },
+      ]
+    );
+  });
+});
@@ -0,0 +1,267 @@
+import { Logger, redactText } from './logger.js';
+import { HttpClient } from './utils.js';
+
+/**
+ * What notifications are sent on: a failed run, a run that left some
+ * quotes out, e.g. missing from the provider response, or datasets not
+ * updated for too long.
+ *
+ * @typedef {'failure' | 'partial' | 'stale'} NotificationEvent
+ */
+
+export const EVENTS = ['failure', 'partial', 'stale'];
+
+/**
+ * Payload layouts: `generic` carries the whole run report, `slack`
+ * suits Slack incoming webhooks, and `email-relay` suits HTTP-to-SMTP
+ * relays. Notifications are only ever posted over HTTP: email goes
+ * through such a relay, SMTP servers are not spoken to.
+ */
+export const FORMATS = ['generic', 'slack', 'email-relay'];
+
+/**
+ * @typedef {object} Target
+ * @property {string} url
+ * @property {'generic' | 'slack' | 'email-relay'=} format `generic` by
+ * default
+ * @property {NotificationEvent[]=} events every one by default
+ * @property {Partial<Record<NotificationEvent, string>>=} templates
+ * replacing the default ones
+ * @property {string=} from sender of `email-relay` notifications
+ * @property {string=} to recipient of `email-relay` notifications
+ */
+
+/**
+ * Messages by event, with `{{name}}` placeholders for the values made
+ * by `Notifier.events`.
+ *
+ * @type {Record<NotificationEvent, string>}
+ */
+export const DEFAULT_TEMPLATES = {
+  failure: '{{command}} failed: {{error}}',
+  partial:
+    '{{command}} left out {{quarantined}} quarantined, {{failed}} failed and {{missing}} missing quote(s): {{details}}',
+  stale:
+    '{{count}} dataset(s) not updated for over {{staleAfter}}s: {{details}}',
+};
+
+/**
+ * @param {string} template
+ * @param {Record<string, string | number>} values
+ * @returns {string} with unknown placeholders left empty
+ */
+export const render = (template, values) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+    return Object.hasOwn(values, name) ? String(values[name]) : '';
+  });
+};
+
+/**
+ * @typedef {object} Notification
+ * @property {NotificationEvent} event
+ * @property {Record<string, string | number>} values for templates
+ */
+
+/**
+ * Posts notifications about runs to webhooks, which never fail the
+ * run themselves.
+ */
+export class Notifier {
+  /**
+   * @type {Target[]}
+   */
+  #targets;
+
+  /**
+   * @type {HttpClient}
+   */
+  #httpClient;
+
+  /**
+   * @type {Logger}
+   */
+  #logger;
+
+  /**
+   * @param {object} options
+   * @param {Target[]} options.targets
+   * @param {HttpClient=} options.httpClient retrying a couple of times
+   * and logging only the origin of webhook URLs by default
+   * @param {Logger=} options.logger
+   */
+  constructor(options) {
+    this.#targets = options.targets;
+    this.#logger = options.logger || new Logger();
+    this.#httpClient =
+      options.httpClient ||
+      new HttpClient({
+        retries: 2,
+        backoff: 1_000,
+        logger: this.#logger,
+        redact: (url) => new URL(url).origin,
+      });
+  }
+
+  /**
+   * @param {import('./report.js').Report} report
+   * @param {object} options
+   * @param {import('./metrics.js').Sample[]} options.staleness
+   * @param {number} options.staleAfter seconds
+   * @returns {Notification[]}
+   */
+  events(report, options) {
+    const notifications = [];
+    const { command } = report;
+
+    if (report.status === 'failed') {
+      notifications.push({
+        event: 'failure',
+        values: { command, error: report.error },
+      });
+    } else {
+      const quarantined = report.writes.flatMap((write) => {
+        return write.quarantined.map(
+          (pair) => `${pair} (${write.date})`
+        );
+      });
+
+      const failed = report.writes.flatMap((write) => {
+        return write.failed.map((pair) => `${pair} (${write.date})`);
+      });
+
+      const missing = report.writes.flatMap((write) => {
+        return write.missing.map((pair) => `${pair} (${write.date})`);
+      });
+
+      if (quarantined.length || failed.length || missing.length) {
+        notifications.push({
+          event: 'partial',
+          values: {
+            command,
+            quarantined: quarantined.length,
+            failed: failed.length,
+            missing: missing.length,
+            details: [...quarantined, ...failed, ...missing].join(
+              ', '
+            ),
+          },
+        });
+      }
+    }
+
+    const stale = options.staleness.filter((sample) => {
+      return sample.value > options.staleAfter;
+    });
+
+    if (stale.length) {
+      notifications.push({
+        event: 'stale',
+        values: {
+          command,
+          count: stale.length,
+          staleAfter: options.staleAfter,
+          details: stale
+            .map(({ labels, value }) => {
+              return `${labels.base}/${labels.quote} (${value}s)`;
+            })
+            .join(', '),
+        },
+      });
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Sends every notification the run calls for to the targets
+   * subscribed to it.
+   *
+   * @param {import('./report.js').Report} report
+   * @param {object} options
+   * @param {import('./metrics.js').Sample[]} options.staleness
+   * @param {number} options.staleAfter seconds
+   * @returns {Promise<number>} notifications delivered
+   */
+  async notify(report, options) {
+    let delivered = 0;
+
+    // webhooks are third parties, which must not get provider keys
+    const redacted = JSON.parse(redactText(JSON.stringify(report)));
+
+    for (const { event, values } of this.events(redacted, options)) {
+      for (const target of this.#targets) {
+        if (target.events && !target.events.includes(event)) {
+          continue;
+        }
+
+        const message = render(
+          target.templates?.[event] || DEFAULT_TEMPLATES[event],
+          values
+        );
+
+        const host = new URL(target.url).host;
+
+        try {
+          await this.#httpClient.post(
+            target.url,
+            this.#payload(target, {
+              event,
+              message,
+              report: redacted,
+            })
+          );
+
+          delivered++;
+
+          this.#logger.info(
+            `Sent "${event}" notification to "${host}"`,
+            {
+              event: 'notification.sent',
+              notification: event,
+              host,
+            }
+          );
+        } catch (error) {
+          // webhook URLs often hold secrets, so only their host is logged
+          this.#logger.warn(
+            `Failed to send "${event}" notification to "${host}": ${error.status ? `HTTP ${error.status}` : error.message}`,
+            {
+              event: 'notification.failed',
+              notification: event,
+              host,
+            }
+          );
+        }
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * @param {Target} target
+   * @param {object} notification
+   * @param {NotificationEvent} notification.event
+   * @param {string} notification.message
+   * @param {import('./report.js').Report} notification.report
+   * @returns {object}
+   */
+  #payload(target, notification) {
+    const { event, message, report } = notification;
+
+    if (target.format === 'slack') {
+      return { text: message };
+    }
+
+    if (target.format === 'email-relay') {
+      return {
+        from: target.from,
+        to: target.to,
+        subject: `[asteroids-fetcher] ${report.command}: ${event}`,
+        text: message,
+      };
+    }
+
+    return { event, message, report };
+  }
+}
@@ -0,0 +1,316 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { Logger } from './logger.js';
+import { Notifier, render } from './notify.js';
+import { HttpClient } from './utils.js';
+
+/**
+ * @param {Partial<import('./report.js').Report>} overrides
+ * @returns {import('./report.js').Report}
+ */
+const makeReport = (overrides = {}) => ({
+  command: 'fetch',
+  status: 'succeeded',
+  error: null,
+  startedAt: '2024-01-02T16:00:00.000Z',
+  endedAt: '2024-01-02T16:00:01.000Z',
+  durationMs: 1000,
+  requests: [],
+  writes: [],
+  currencies: null,
+  ...overrides,
+});
+
+const silent = new Logger({ level: 'error' });
+
+describe('render', () => {
+  it('should fill placeholders', () => {
+    assert.equal(
+      render('{{ command }} failed: {{error}}{{unknown}}', {
+        command: 'fetch',
+        error: 'boom',
+      }),
+      'fetch failed: boom'
+    );
+  });
+});
+
+describe('Notifier', () => {
+  /**
+   * @type {import('http').Server}
+   */
+  let server;
+
+  /**
+   * @type {{ path: string, body: any }[]}
+   */
+  let received;
+
+  /**
+   * Statuses to answer with before succeeding.
+   *
+   * @type {number[]}
+   */
+  let failures;
+
+  let url;
+
+  before(async () => {
+    server = createServer((request, response) => {
+      let body = '';
+
+      request.on('data', (chunk) => (body += chunk));
+      request.on('end', () => {
+        const status = failures.shift();
+
+        if (status) {
+          response.writeHead(status).end();
+
+          return;
+        }
+
+        received.push({ path: request.url, body: JSON.parse(body) });
+        response.writeHead(200).end('ok');
+      });
+    });
+
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    url = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    failures = [];
+  });
+
+  /**
+   * @param {import('./notify.js').Target[]} targets
+   * @returns {Notifier}
+   */
+  const makeNotifier = (targets) => {
+    return new Notifier({
+      targets,
+      logger: silent,
+      httpClient: new HttpClient({
+        retries: 2,
+        backoff: 1,
+        logger: silent,
+      }),
+    });
+  };
+
+  it('should post failures with the report', async () => {
+    const report = makeReport({
+      status: 'failed',
+      error: 'HTTP 500',
+    });
+
+    const delivered = await makeNotifier([
+      { url: `${url}/generic` },
+    ]).notify(report, { staleness: [], staleAfter: 60 });
+
+    assert.equal(delivered, 1);
+    assert.deepEqual(received, [
+      {
+        path: '/generic',
+        body: {
+          event: 'failure',
+          message: 'fetch failed: HTTP 500',
+          report,
+        },
+      },
+    ]);
+  });
+
+  it('should keep API keys out of messages and reports', async () => {
+    const error =
+      'HTTP 401: "Unauthorized" on "https://example.org/2024-01-03?access_key=SUPERSECRET"';
+
+    await makeNotifier([
+      { url: `${url}/slack`, format: 'slack' },
+      { url: `${url}/generic` },
+    ]).notify(
+      makeReport({
+        status: 'failed',
+        error,
+        requests: [
+          {
+            url: 'https://example.org/2024-01-03?access_key=REDACTED',
+            attempts: 1,
+            status: 401,
+            error,
+            durationMs: 5,
+          },
+        ],
+      }),
+      { staleness: [], staleAfter: 60 }
+    );
+
+    assert.equal(received.length, 2);
+    assert.equal(
+      received[0].body.text,
+      'fetch failed: HTTP 401: "Unauthorized" on "https://example.org/2024-01-03?access_key=REDACTED"'
+    );
+    assert.doesNotMatch(JSON.stringify(received), /SUPERSECRET/);
+  });
+
+  it('should log only the origin of webhook URLs', async () => {
+    const entries = [];
+    const logger = new Logger({
+      level: 'error',
+      listeners: [(entry) => entries.push(entry)],
+    });
+
+    failures = [500];
+
+    const delivered = await new Notifier({
+      targets: [{ url: `${url}/services/T000/B000/SECRETTOKEN` }],
+      logger,
+    }).notify(makeReport({ status: 'failed', error: 'boom' }), {
+      staleness: [],
+      staleAfter: 60,
+    });
+
+    assert.equal(delivered, 1);
+    assert.deepEqual(
+      entries.map((entry) => entry.event),
+      ['http.retry', 'http.request', 'notification.sent']
+    );
+    assert.doesNotMatch(
+      JSON.stringify(entries),
+      /SECRETTOKEN|services/
+    );
+  });
+
+  it('should format Slack and email relay payloads', async () => {
+    const report = makeReport({
+      writes: [
+        {
+          date: '2024-01-02',
+          written: ['EUR/USD'],
+          unchanged: [],
+          quarantined: ['EUR/ARS'],
+          failed: ['EUR/GBP'],
+          missing: ['EUR/VES'],
+        },
+      ],
+    });
+
+    await makeNotifier([
+      { url: `${url}/slack`, format: 'slack' },
+      {
+        url: `${url}/email`,
+        format: 'email-relay',
+        from: 'fetcher@example.org',
+        to: 'ops@example.org',
+      },
+    ]).notify(report, { staleness: [], staleAfter: 60 });
+
+    const text =
+      'fetch left out 1 quarantined, 1 failed and 1 missing quote(s): EUR/ARS (2024-01-02), EUR/GBP (2024-01-02), EUR/VES (2024-01-02)';
+
+    assert.deepEqual(received, [
+      { path: '/slack', body: { text } },
+      {
+        path: '/email',
+        body: {
+          from: 'fetcher@example.org',
+          to: 'ops@example.org',
+          subject: '[asteroids-fetcher] fetch: partial',
+          text,
+        },
+      },
+    ]);
+  });
+
+  it('should only send subscribed events with custom templates', async () => {
+    const delivered = await makeNotifier([
+      { url: `${url}/failures`, events: ['failure'] },
+      {
+        url: `${url}/stale`,
+        format: 'slack',
+        events: ['stale'],
+        templates: { stale: 'Stale: {{details}}' },
+      },
+    ]).notify(makeReport(), {
+      staleness: [
+        {
+          name: 'data_staleness_seconds',
+          labels: { base: 'EUR', quote: 'USD' },
+          value: 120,
+        },
+        {
+          name: 'data_staleness_seconds',
+          labels: { base: 'EUR', quote: 'GBP' },
+          value: 30,
+        },
+      ],
+      staleAfter: 60,
+    });
+
+    assert.equal(delivered, 1);
+    assert.deepEqual(received, [
+      { path: '/stale', body: { text: 'Stale: EUR/USD (120s)' } },
+    ]);
+  });
+
+  it('should send nothing for healthy runs', async () => {
+    const delivered = await makeNotifier([{ url }]).notify(
+      makeReport(),
+      { staleness: [], staleAfter: 60 }
+    );
+
+    assert.equal(delivered, 0);
+    assert.deepEqual(received, []);
+  });
+
+  it('should retry failed deliveries', async () => {
+    failures = [500];
+
+    const delivered = await makeNotifier([{ url }]).notify(
+      makeReport({ status: 'failed', error: 'boom' }),
+      { staleness: [], staleAfter: 60 }
+    );
+
+    assert.equal(delivered, 1);
+    assert.equal(received.length, 1);
+  });
+
+  it('should not throw when targets are unreachable', async () => {
+    const entries = [];
+    const logger = new Logger({
+      level: 'error',
+      listeners: [(entry) => entries.push(entry)],
+    });
+
+    failures = [500, 500, 500];
+
+    const notifier = new Notifier({
+      targets: [{ url: `${url}/secret-token` }],
+      logger,
+      httpClient: new HttpClient({ retries: 2, backoff: 1, logger }),
+    });
+
+    const delivered = await notifier.notify(
+      makeReport({ status: 'failed', error: 'boom' }),
+      { staleness: [], staleAfter: 60 }
+    );
+
+    const failed = entries.find(
+      (entry) => entry.event === 'notification.failed'
+    );
+
+    assert.equal(delivered, 0);
+    assert.equal(
+      failed.message,
+      `Failed to send "failure" notification to "${new URL(url).host}": HTTP 500`
+    );
+    assert(!failed.message.includes('secret-token'));
+  });
+});
@@ -0,0 +1,230 @@
+import { formatDate } from './dates.js';
+import { EcbProvider } from './ecb.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * @typedef {object} Rates
+ * @property {string} base
+ * @property {string} date
+ * @property {Record<string, number>} rates
+ * @property {boolean=} carried forward to `date` from the last
+ * publication day
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {'json' | 'text'} type response body type
+ * @property {string} base currency rates are returned against by
+ * default
+ * @property {(date: string) => string} url builds the URL for a
+ * `YYYY-MM-DD` date or for `latest`
+ * @property {() => Record<string, string>} headers request headers,
+ * e.g. for authentication
+ * @property {(body: any, date?: string) => Rates} parse normalizes a
+ * response body for the requested date
+ * @property {((from: string) => string)=} history builds the URL of
+ * a multi-day document covering `from` until today, for providers
+ * serving history in bulk
+ * @property {((body: any) => Rates[])=} parseAll normalizes a
+ * multi-day document
+ */
+
+/**
+ * Fixer-style API: `/<date>?access_key=` and `/latest?access_key=`
+ * returning `{ base, date, rates }`.
+ *
+ * @implements {Provider}
+ */
+export class FixerProvider {
+  /**
+   * @type {string}
+   */
+  #baseUrl;
+
+  /**
+   * @type {string}
+   */
+  #apiKey;
+
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl
+   * @param {string} options.apiKey
+   */
+  constructor(options) {
+    if (!options.apiKey) {
+      throw new Error('API key is required for this provider');
+    }
+
+    this.#baseUrl = options.baseUrl;
+    this.#apiKey = options.apiKey;
+  }
+
+  /**
+   * @returns {'json'}
+   */
+  get type() {
+    return 'json';
+  }
+
+  /**
+   * @returns {string} base currency of responses, unless the account
+   * is set up otherwise
+   */
+  get base() {
+    return 'EUR';
+  }
+
+  /**
+   * @param {string} date
+   * @returns {string}
+   */
+  url(date) {
+    const key = encodeURIComponent(this.#apiKey);
+
+    return `${this.#baseUrl}/${date}?access_key=${key}`;
+  }
+
+  /**
+   * @returns {Record<string, string>}
+   */
+  headers() {
+    return {};
+  }
+
+  /**
+   * @param {any} body
+   * @returns {Rates}
+   */
+  parse(body) {
+    if (body && body.success === false) {
+      const { code, type, info } = body.error || {};
+
+      throw new ValidationError([
+        {
+          field: 'error',
+          message: `provider responded with ${code} "${info || type}"`,
+        },
+      ]);
+    }
+
+    return {
+      base: body.base,
+      date: body.date,
+      rates: body.rates,
+    };
+  }
+}
+
+/**
+ * Open Exchange Rates-style API: `/historical/<date>.json` and
+ * `/latest.json` returning `{ base, timestamp, rates }`, authenticated
+ * with a token header.
+ *
+ * @implements {Provider}
+ */
+export class OpenExchangeRatesProvider {
+  /**
+   * @type {string}
+   */
+  #baseUrl;
+
+  /**
+   * @type {string}
+   */
+  #apiKey;
+
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl
+   * @param {string} options.apiKey
+   */
+  constructor(options) {
+    if (!options.apiKey) {
+      throw new Error('API key is required for this provider');
+    }
+
+    this.#baseUrl = options.baseUrl;
+    this.#apiKey = options.apiKey;
+  }
+
+  /**
+   * @returns {'json'}
+   */
+  get type() {
+    return 'json';
+  }
+
+  /**
+   * @returns {string} base currency of responses, unless the account
+   * is set up otherwise
+   */
+  get base() {
+    return 'USD';
+  }
+
+  /**
+   * @param {string} date
+   * @returns {string}
+   */
+  url(date) {
+    return date === 'latest'
+      ? `${this.#baseUrl}/latest.json`
+      : `${this.#baseUrl}/historical/${date}.json`;
+  }
+
+  /**
+   * @returns {Record<string, string>}
+   */
+  headers() {
+    return { Authorization: `Token ${this.#apiKey}` };
+  }
+
+  /**
+   * @param {any} body
+   * @returns {Rates}
+   */
+  parse(body) {
+    if (body && body.error) {
+      const { status, message, description } = body;
+
+      throw new ValidationError([
+        {
+          field: 'error',
+          message: `provider responded with ${status} "${description || message}"`,
+        },
+      ]);
+    }
+
+    return {
+      base: body.base,
+      date: formatDate(body.timestamp * 1000),
+      rates: body.rates,
+    };
+  }
+}
+
+export const providers = {
+  fixer: FixerProvider,
+  openexchangerates: OpenExchangeRatesProvider,
+  ecb: EcbProvider,
+};
+
+/**
+ * @param {string} name one of `providers` keys
+ * @param {object} options
+ * @param {string=} options.baseUrl
+ * @param {string=} options.apiKey
+ * @returns {Provider}
+ */
+export const createProvider = (name, options) => {
+  if (!Object.hasOwn(providers, name)) {
+    const names = Object.keys(providers).join(', ');
+
+    throw new Error(
+      `Unknown provider "${name}", expected one of: ${names}`
+    );
+  }
+
+  return new providers[name](options);
+};
@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createProvider,
+  FixerProvider,
+  OpenExchangeRatesProvider,
+} from './providers.js';
+import { ValidationError } from './validation.js';
+
+describe('FixerProvider', () => {
+  const provider = new FixerProvider({
+    baseUrl: 'https://example.org/api',
+    apiKey: 'secret',
+  });
+
+  it('should build dated and latest URLs with access key', () => {
+    assert.equal(
+      provider.url('2024-01-01'),
+      'https://example.org/api/2024-01-01?access_key=secret'
+    );
+
+    assert.equal(
+      provider.url('latest'),
+      'https://example.org/api/latest?access_key=secret'
+    );
+  });
+
+  it('should not need extra headers', () => {
+    assert.deepEqual(provider.headers(), {});
+  });
+
+  it('should parse response body', () => {
+    const body = {
+      success: true,
+      timestamp: 1704153599,
+      historical: true,
+      base: 'EUR',
+      date: '2024-01-01',
+      rates: { USD: 1.1 },
+    };
+
+    assert.deepEqual(provider.parse(body), {
+      base: 'EUR',
+      date: '2024-01-01',
+      rates: { USD: 1.1 },
+    });
+  });
+
+  it('should reject error bodies', () => {
+    const body = {
+      success: false,
+      error: {
+        code: 101,
+        type: 'invalid_access_key',
+        info: 'You have not supplied a valid API Access Key.',
+      },
+    };
+
+    assert.throws(() => provider.parse(body), {
+      name: 'ValidationError',
+      problems: [
+        {
+          field: 'error',
+          message:
+            'provider responded with 101 ' +
+            '"You have not supplied a valid API Access Key."',
+        },
+      ],
+    });
+  });
+});
+
+describe('OpenExchangeRatesProvider', () => {
+  const provider = new OpenExchangeRatesProvider({
+    baseUrl: 'https://example.org/api',
+    apiKey: 'secret',
+  });
+
+  it('should build dated and latest URLs', () => {
+    assert.equal(
+      provider.url('2024-01-01'),
+      'https://example.org/api/historical/2024-01-01.json'
+    );
+
+    assert.equal(
+      provider.url('latest'),
+      'https://example.org/api/latest.json'
+    );
+  });
+
+  it('should authenticate with token header', () => {
+    assert.deepEqual(provider.headers(), {
+      Authorization: 'Token secret',
+    });
+  });
+
+  it('should parse response body taking date from timestamp', () => {
+    const body = {
+      disclaimer: 'Usage subject to terms',
+      license: 'https://example.org/license',
+      timestamp: 1704153599,
+      base: 'USD',
+      rates: { EUR: 0.9 },
+    };
+
+    assert.deepEqual(provider.parse(body), {
+      base: 'USD',
+      date: '2024-01-01',
+      rates: { EUR: 0.9 },
+    });
+  });
+
+  it('should reject error bodies', () => {
+    const body = {
+      error: true,
+      status: 401,
+      message: 'invalid_app_id',
+      description: 'Invalid App ID provided.',
+    };
+
+    assert.throws(
+      () => provider.parse(body),
+      (error) => {
+        assert(error instanceof ValidationError);
+        assert.equal(
+          error.problems[0].message,
+          'provider responded with 401 "Invalid App ID provided."'
+        );
+
+        return true;
+      }
+    );
+  });
+});
+
+describe('createProvider', () => {
+  it('should create provider by name', () => {
+    const provider = createProvider('openexchangerates', {
+      baseUrl: 'https://example.org/api',
+      apiKey: 'secret',
+    });
+
+    assert(provider instanceof OpenExchangeRatesProvider);
+  });
+
+  it('should tell the default base of each provider', () => {
+    const options = { baseUrl: 'https://example.org', apiKey: 'x' };
+
+    assert.deepEqual(
+      ['fixer', 'openexchangerates', 'ecb'].map(
+        (name) => createProvider(name, options).base
+      ),
+      ['EUR', 'USD', 'EUR']
+    );
+  });
+
+  it('should throw for missing API key', () => {
+    assert.throws(
+      () =>
+        createProvider('fixer', { baseUrl: 'https://example.org' }),
+      new Error('API key is required for this provider')
+    );
+  });
+
+  it('should throw for unknown provider', () => {
+    assert.throws(
+      () => createProvider('toString', {}),
+      new Error(
+        'Unknown provider "toString", expected one of: ' +
+          'fixer, openexchangerates, ecb'
+      )
+    );
+  });
+});
@@ -0,0 +1,220 @@
+import { formatDate } from './dates.js';
+import { fileSystem, wait } from './utils.js';
+
+export class QuotaExceededError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+
+    this.name = 'QuotaExceededError';
+  }
+}
+
+/**
+ * Token bucket: holds up to `capacity` requests and refills them
+ * evenly over `interval`, so bursts are allowed up to the capacity and
+ * the long-run rate never exceeds `capacity` per `interval`.
+ */
+export class RateLimiter {
+  /**
+   * @type {number}
+   */
+  #capacity;
+
+  /**
+   * @type {number}
+   */
+  #interval;
+
+  /**
+   * @type {number}
+   */
+  #tokens;
+
+  /**
+   * @type {number}
+   */
+  #updatedAt;
+
+  /**
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * @param {object} options
+   * @param {number} options.capacity requests allowed per interval
+   * @param {number=} options.interval in milliseconds, a minute by
+   * default
+   */
+  constructor(options) {
+    this.#capacity = options.capacity;
+    this.#interval = options.interval || 60_000;
+    this.#tokens = options.capacity;
+    this.#updatedAt = Date.now();
+  }
+
+  /**
+   * Resolves once a request may be made, waiting for a token if the
+   * bucket is empty. Callers are served in order.
+   *
+   * @returns {Promise<void>}
+   */
+  take() {
+    const next = this.#queue.then(() => this.#take());
+
+    this.#queue = next.catch(() => {});
+
+    return next;
+  }
+
+  async #take() {
+    this.#refill();
+
+    if (this.#tokens < 1) {
+      const rate = this.#capacity / this.#interval;
+
+      await wait(Math.ceil((1 - this.#tokens) / rate));
+
+      this.#refill();
+    }
+
+    this.#tokens -= 1;
+  }
+
+  #refill() {
+    const now = Date.now();
+    const rate = this.#capacity / this.#interval;
+
+    this.#tokens = Math.min(
+      this.#capacity,
+      this.#tokens + (now - this.#updatedAt) * rate
+    );
+
+    this.#updatedAt = now;
+  }
+}
+
+/**
+ * @typedef {object} QuotaStatus
+ * @property {string} period e.g. `2024-01` for monthly quotas
+ * @property {number} used
+ * @property {number} limit
+ * @property {number} remaining
+ */
+
+/**
+ * Counts requests per calendar period (UTC) in a JSON file, so the
+ * provider plan quota is respected across runs.
+ */
+export class QuotaLedger {
+  /**
+   * @type {string}
+   */
+  #path;
+
+  /**
+   * @type {number}
+   */
+  #limit;
+
+  /**
+   * @type {'month' | 'day'}
+   */
+  #period;
+
+  /**
+   * @type {{ period: string, used: number } | null}
+   */
+  #state = null;
+
+  /**
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * @param {object} options
+   * @param {string} options.path
+   * @param {number} options.limit requests allowed per period
+   * @param {('month' | 'day')=} options.period `month` by default
+   */
+  constructor(options) {
+    this.#path = options.path;
+    this.#limit = options.limit;
+    this.#period = options.period || 'month';
+  }
+
+  /**
+   * Books one request, refusing it if the quota is used up.
+   *
+   * @returns {Promise<void>}
+   * @throws {QuotaExceededError}
+   */
+  reserve() {
+    const next = this.#queue.then(() => this.#reserve());
+
+    this.#queue = next.catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * @returns {Promise<QuotaStatus>}
+   */
+  async status() {
+    const state = await this.#load();
+
+    return {
+      period: state.period,
+      used: state.used,
+      limit: this.#limit,
+      remaining: Math.max(this.#limit - state.used, 0),
+    };
+  }
+
+  async #reserve() {
+    const state = await this.#load();
+
+    if (state.used >= this.#limit) {
+      throw new QuotaExceededError(
+        `Request quota of ${this.#limit} for "${state.period}" is used up`
+      );
+    }
+
+    state.used += 1;
+
+    await fileSystem.write(this.#path, `${JSON.stringify(state)}\n`);
+  }
+
+  /**
+   * @returns {Promise<{ period: string, used: number }>}
+   */
+  async #load() {
+    const period = formatDate(Date.now()).substring(
+      0,
+      this.#period === 'day' ? 10 : 7
+    );
+
+    if (!this.#state) {
+      this.#state = await this.#read();
+    }
+
+    if (!this.#state || this.#state.period !== period) {
+      this.#state = { period, used: 0 };
+    }
+
+    return this.#state;
+  }
+
+  /**
+   * @returns {Promise<{ period: string, used: number } | null>}
+   */
+  async #read() {
+    const content = await fileSystem.read(this.#path);
+
+    return content ? JSON.parse(content) : null;
+  }
+}
@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  QuotaExceededError,
+  QuotaLedger,
+  RateLimiter,
+} from './quota.js';
+
+describe('RateLimiter', () => {
+  it('should allow a burst up to capacity right away', async () => {
+    const limiter = new RateLimiter({ capacity: 3, interval: 1000 });
+
+    const start = Date.now();
+
+    await limiter.take();
+    await limiter.take();
+    await limiter.take();
+
+    assert(Date.now() - start < 50, 'Burst should not wait');
+  });
+
+  it('should delay requests over capacity', async () => {
+    const limiter = new RateLimiter({ capacity: 2, interval: 200 });
+
+    const start = Date.now();
+
+    await Promise.all([
+      limiter.take(),
+      limiter.take(),
+      limiter.take(),
+      limiter.take(),
+    ]);
+
+    const elapsed = Date.now() - start;
+
+    assert(
+      elapsed >= 190,
+      `Should wait for two tokens to refill, waited ${elapsed}ms`
+    );
+  });
+});
+
+describe('QuotaLedger', () => {
+  let path;
+
+  beforeEach(() => {
+    path = join(
+      tmpdir(),
+      `quota-${Date.now()}-${Math.random()}.json`
+    );
+
+    mock.method(Date, 'now', () =>
+      Date.parse('2024-01-15T12:00:00Z')
+    );
+  });
+
+  afterEach(async () => {
+    Date.now.mock.restore();
+    await rm(path, { force: true });
+  });
+
+  it('should count and persist requests', async () => {
+    const ledger = new QuotaLedger({ path, limit: 10 });
+
+    await ledger.reserve();
+    await ledger.reserve();
+
+    assert.deepEqual(await ledger.status(), {
+      period: '2024-01',
+      used: 2,
+      limit: 10,
+      remaining: 8,
+    });
+
+    assert.deepEqual(JSON.parse(await readFile(path, 'utf-8')), {
+      period: '2024-01',
+      used: 2,
+    });
+  });
+
+  it('should continue counting from the stored ledger', async () => {
+    await writeFile(
+      path,
+      JSON.stringify({ period: '2024-01', used: 9 })
+    );
+
+    const ledger = new QuotaLedger({ path, limit: 10 });
+
+    await ledger.reserve();
+
+    await assert.rejects(
+      ledger.reserve(),
+      new QuotaExceededError(
+        'Request quota of 10 for "2024-01" is used up'
+      )
+    );
+
+    assert.equal((await ledger.status()).remaining, 0);
+  });
+
+  it('should start over in a new period', async () => {
+    await writeFile(
+      path,
+      JSON.stringify({ period: '2023-12', used: 10 })
+    );
+
+    const ledger = new QuotaLedger({ path, limit: 10 });
+
+    await ledger.reserve();
+
+    assert.equal((await ledger.status()).used, 1);
+  });
+
+  it('should support daily periods', async () => {
+    const ledger = new QuotaLedger({
+      path,
+      limit: 10,
+      period: 'day',
+    });
+
+    await ledger.reserve();
+
+    assert.equal((await ledger.status()).period, '2024-01-15');
+  });
+
+  it('should not overbook concurrent reservations', async () => {
+    const ledger = new QuotaLedger({ path, limit: 3 });
+
+    const results = await Promise.allSettled(
+      Array(5)
+        .fill(null)
+        .map(() => ledger.reserve())
+    );
+
+    const statuses = results.map((result) => result.status);
+
+    assert.deepEqual(statuses, [
+      'fulfilled',
+      'fulfilled',
+      'fulfilled',
+      'rejected',
+      'rejected',
+    ]);
+  });
+});
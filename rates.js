@@ -0,0 +1,344 @@
+import { stat } from 'fs/promises';
+import { join } from 'path';
+import { formatDate } from './dates.js';
+import { formats } from './formats.js';
+import { fileSystem } from './utils.js';
+
+/**
+ * Currency every provider publishes rates against, used to cross rates
+ * between other currencies.
+ */
+const PIVOT = 'EUR';
+
+export class RateNotFoundError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+
+    this.name = 'RateNotFoundError';
+  }
+}
+
+/**
+ * @typedef {object} Rate
+ * @property {string} base
+ * @property {string} quote
+ * @property {string} date of the rate, earlier than the requested one
+ * when `fallback` is set
+ * @property {number} rate
+ * @property {boolean} fallback whether no rate was published on the
+ * requested date, e.g. on weekends and holidays, or only carried
+ * forward
+ */
+
+/**
+ * @typedef {object} Conversion
+ * @property {number} amount
+ * @property {string} from
+ * @property {string} to
+ * @property {string} date of the rate used
+ * @property {number} rate
+ * @property {number} result
+ * @property {boolean} fallback
+ */
+
+/**
+ * @typedef {import('./formats.js').Row} Row
+ */
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Number(value.toPrecision(10));
+
+/**
+ * @param {Row[]} rows sorted by date
+ * @param {string=} date latest row if missing
+ * @returns {Row | undefined} the row of `date` or the closest before it,
+ * passing over carried forward rows as they were not published
+ */
+const findRow = (rows, date) => {
+  for (let index = rows.length - 1; index >= 0; index--) {
+    const row = rows[index];
+
+    if (
+      row.rate !== null &&
+      !row.carried &&
+      (!date || row.date <= date)
+    ) {
+      return row;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Reads rates back from `<BASE>/<QUOTE>.csv` datasets. Parsed files
+ * are cached in memory until they change on disk.
+ */
+export class RateStore {
+  /**
+   * @type {string}
+   */
+  #dataPath;
+
+  /**
+   * @type {Map<string, { mtime: number, rows: Row[] }>}
+   */
+  #cache = new Map();
+
+  /**
+   * @param {object} options
+   * @param {string} options.dataPath
+   */
+  constructor(options) {
+    this.#dataPath = options.dataPath;
+  }
+
+  /**
+   * Rate of `quote` in `base` on `date`, or on the closest earlier date
+   * with a rate. Pairs without a dataset are inverted or crossed
+   * through EUR.
+   *
+   * @param {string} base
+   * @param {string} quote
+   * @param {string=} date latest rate if missing
+   * @returns {Promise<Rate>}
+   * @throws {RateNotFoundError}
+   */
+  async getRate(base, quote, date) {
+    const result = await this.#findRate(base, quote, date);
+
+    if (!result) {
+      throw new RateNotFoundError(
+        `No "${base}/${quote}" rate${date ? ` on or before "${date}"` : ''}`
+      );
+    }
+
+    return {
+      base,
+      quote,
+      date: result.date,
+      rate: round(result.rate),
+      fallback: Boolean(date) && result.date !== date,
+    };
+  }
+
+  /**
+   * Rates of `quote` from `from` to `to`, both inclusive, as published:
+   * days without a rate are left out. Pairs without a dataset are
+   * inverted or crossed through EUR like in `getRate`.
+   *
+   * @param {string} quote
+   * @param {string=} from
+   * @param {string=} to
+   * @param {object=} options
+   * @param {string=} options.base EUR by default
+   * @returns {Promise<Row[]>}
+   * @throws {RateNotFoundError}
+   */
+  async getSeries(quote, from, to, options = {}) {
+    const base = options.base || PIVOT;
+
+    /**
+     * @param {Row} row
+     */
+    const inRange = (row) => {
+      return (!from || row.date >= from) && (!to || row.date <= to);
+    };
+
+    const direct = await this.#read(base, quote);
+
+    if (direct) {
+      return direct.filter(
+        (row) => row.rate !== null && inRange(row)
+      );
+    }
+
+    const inverse = await this.#read(quote, base);
+
+    if (inverse) {
+      return inverse.flatMap((row) => {
+        return row.rate !== null && inRange(row)
+          ? [{ date: row.date, rate: round(1 / row.rate) }]
+          : [];
+      });
+    }
+
+    const [pivotBase, pivotQuote] = await Promise.all([
+      this.#read(PIVOT, base),
+      this.#read(PIVOT, quote),
+    ]);
+
+    if (!pivotBase || !pivotQuote) {
+      throw new RateNotFoundError(`No "${base}/${quote}" dataset`);
+    }
+
+    const baseRates = new Map(
+      pivotBase.map((row) => [row.date, row.rate])
+    );
+
+    return pivotQuote.filter(inRange).flatMap((row) => {
+      const baseRate = baseRates.get(row.date);
+
+      return row.rate !== null && baseRate
+        ? [{ date: row.date, rate: round(row.rate / baseRate) }]
+        : [];
+    });
+  }
+
+  /**
+   * @param {number} amount
+   * @param {string} from
+   * @param {string} to
+   * @param {string=} date latest rate if missing
+   * @returns {Promise<Conversion>}
+   * @throws {RateNotFoundError}
+   */
+  async convert(amount, from, to, date) {
+    const { rate, fallback, ...found } = await this.getRate(
+      from,
+      to,
+      date
+    );
+
+    return {
+      amount,
+      from,
+      to,
+      date: found.date,
+      rate,
+      result: round(amount * rate),
+      fallback,
+    };
+  }
+
+  /**
+   * Forgets parsed files, which are otherwise re-read once modified.
+   */
+  clear() {
+    this.#cache.clear();
+  }
+
+  /**
+   * @param {string} base
+   * @param {string} quote
+   * @param {string=} date
+   * @returns {Promise<{ date: string, rate: number } | undefined>}
+   */
+  async #findRate(base, quote, date) {
+    if (base === quote) {
+      return { date: date || formatDate(Date.now()), rate: 1 };
+    }
+
+    const direct = await this.#read(base, quote);
+
+    if (direct) {
+      return findRow(direct, date);
+    }
+
+    const inverse = await this.#read(quote, base);
+
+    if (inverse) {
+      const row = findRow(inverse, date);
+
+      return row && { date: row.date, rate: 1 / row.rate };
+    }
+
+    if (base === PIVOT || quote === PIVOT) {
+      return undefined;
+    }
+
+    const [pivotBase, pivotQuote] = await Promise.all([
+      this.#findRate(PIVOT, base, date),
+      this.#findRate(PIVOT, quote, date),
+    ]);
+
+    if (!pivotBase || !pivotQuote) {
+      return undefined;
+    }
+
+    return {
+      date:
+        pivotBase.date < pivotQuote.date
+          ? pivotBase.date
+          : pivotQuote.date,
+      rate: pivotQuote.rate / pivotBase.rate,
+    };
+  }
+
+  /**
+   * @param {string} base
+   * @param {string} quote
+   * @returns {Promise<Row[] | null>} null if there is no such dataset
+   */
+  async #read(base, quote) {
+    const path = join(this.#dataPath, base, `${quote}.csv`);
+    let mtime;
+
+    try {
+      mtime = (await stat(path)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return null;
+      }
+
+      throw error;
+    }
+
+    const cached = this.#cache.get(path);
+
+    if (cached && cached.mtime === mtime) {
+      return cached.rows;
+    }
+
+    const rows = formats.csv.parse(await fileSystem.read(path));
+
+    this.#cache.set(path, { mtime, rows });
+
+    return rows;
+  }
+}
+
+const store = new RateStore({ dataPath: './data/v1' });
+
+/**
+ * `RateStore.getRate` over `./data/v1`.
+ *
+ * @param {string} base
+ * @param {string} quote
+ * @param {string=} date
+ * @returns {Promise<Rate>}
+ */
+export const getRate = (base, quote, date) => {
+  return store.getRate(base, quote, date);
+};
+
+/**
+ * `RateStore.getSeries` of EUR rates over `./data/v1`.
+ *
+ * @param {string} quote
+ * @param {string=} from
+ * @param {string=} to
+ * @returns {Promise<Row[]>}
+ */
+export const getSeries = (quote, from, to) => {
+  return store.getSeries(quote, from, to);
+};
+
+/**
+ * `RateStore.convert` over `./data/v1`.
+ *
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {string=} date
+ * @returns {Promise<Conversion>}
+ */
+export const convert = (amount, from, to, date) => {
+  return store.convert(amount, from, to, date);
+};
@@ -0,0 +1,158 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RateNotFoundError, RateStore } from './rates.js';
+
+describe('RateStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'rates-'));
+
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-04,1.1\n2024-01-05,1.2\n2024-01-08,\n'
+    );
+    await writeFile(
+      join(dir, 'EUR', 'GBP.csv'),
+      '2024-01-04,0.8\n2024-01-05,0.9\n'
+    );
+
+    store = new RateStore({ dataPath: dir });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('getRate', () => {
+    it('should read direct rates', async () => {
+      assert.deepEqual(
+        await store.getRate('EUR', 'USD', '2024-01-04'),
+        {
+          base: 'EUR',
+          quote: 'USD',
+          date: '2024-01-04',
+          rate: 1.1,
+          fallback: false,
+        }
+      );
+    });
+
+    it('should fall back to the closest earlier rate', async () => {
+      for (const date of ['2024-01-06', '2024-01-08', undefined]) {
+        const rate = await store.getRate('EUR', 'USD', date);
+
+        assert.equal(rate.date, '2024-01-05', date);
+        assert.equal(rate.rate, 1.2, date);
+        assert.equal(rate.fallback, Boolean(date), date);
+      }
+    });
+
+    it('should fall back past carried forward rates', async () => {
+      await writeFile(
+        join(dir, 'EUR', 'CHF.csv'),
+        '2024-01-05,0.93\n2024-01-06,0.93,carried\n'
+      );
+
+      const rate = await store.getRate('EUR', 'CHF', '2024-01-06');
+
+      assert.equal(rate.date, '2024-01-05');
+      assert.equal(rate.rate, 0.93);
+      assert.equal(rate.fallback, true);
+    });
+
+    it('should invert and cross rates', async () => {
+      const inverse = await store.getRate('USD', 'EUR', '2024-01-05');
+      const cross = await store.getRate('GBP', 'USD', '2024-01-05');
+
+      assert.equal(inverse.rate, 0.8333333333);
+      assert.equal(cross.rate, 1.333333333);
+      assert.equal(cross.date, '2024-01-05');
+    });
+
+    it('should cross rates on the earlier date of both', async () => {
+      const cross = await store.getRate('GBP', 'USD', '2024-01-08');
+
+      assert.equal(cross.date, '2024-01-05');
+      assert.equal(cross.fallback, true);
+    });
+
+    it('should throw for missing rates', async () => {
+      await assert.rejects(
+        store.getRate('EUR', 'USD', '2023-12-31'),
+        {
+          name: 'RateNotFoundError',
+          message: 'No "EUR/USD" rate on or before "2023-12-31"',
+        }
+      );
+
+      await assert.rejects(
+        store.getRate('USD', 'JPY'),
+        RateNotFoundError
+      );
+    });
+
+    it('should re-read datasets once modified', async () => {
+      const path = join(dir, 'EUR', 'USD.csv');
+
+      assert.equal((await store.getRate('EUR', 'USD')).rate, 1.2);
+
+      await writeFile(path, '2024-01-05,1.3\n');
+      await utimes(path, new Date(), new Date(Date.now() + 1000));
+
+      assert.equal((await store.getRate('EUR', 'USD')).rate, 1.3);
+    });
+  });
+
+  describe('getSeries', () => {
+    it('should leave out days without a rate', async () => {
+      assert.deepEqual(await store.getSeries('USD', '2024-01-05'), [
+        { date: '2024-01-05', rate: 1.2 },
+      ]);
+    });
+
+    it('should cross series through EUR', async () => {
+      assert.deepEqual(
+        await store.getSeries('USD', undefined, '2024-01-04', {
+          base: 'GBP',
+        }),
+        [{ date: '2024-01-04', rate: 1.375 }]
+      );
+    });
+
+    it('should throw for missing datasets', async () => {
+      await assert.rejects(store.getSeries('JPY'), {
+        message: 'No "EUR/JPY" dataset',
+      });
+    });
+  });
+
+  describe('convert', () => {
+    it('should convert amounts', async () => {
+      assert.deepEqual(
+        await store.convert(10, 'GBP', 'USD', '2024-01-04'),
+        {
+          amount: 10,
+          from: 'GBP',
+          to: 'USD',
+          date: '2024-01-04',
+          rate: 1.375,
+          result: 13.75,
+          fallback: false,
+        }
+      );
+    });
+
+    it('should convert a currency to itself', async () => {
+      const conversion = await store.convert(5, 'USD', 'USD');
+
+      assert.equal(conversion.rate, 1);
+      assert.equal(conversion.result, 5);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { fileSystem } from './utils.js';
+
+/**
+ * @typedef {object} RequestReport
+ * @property {string} url with credentials redacted
+ * @property {number} attempts
+ * @property {number | null} status of the last response, if any
+ * @property {string | null} error of the last attempt, if it failed
+ * @property {number} durationMs retries included
+ */
+
+/**
+ * @typedef {object} WriteReport
+ * @property {string} date of the rates
+ * @property {string[]} written `BASE/QUOTE` pairs, e.g. `EUR/USD`
+ * @property {string[]} unchanged
+ * @property {string[]} quarantined
+ * @property {string[]} failed
+ * @property {string[]} missing from the provider response, left out
+ */
+
+/**
+ * @typedef {object} Report
+ * @property {string} command
+ * @property {'succeeded' | 'failed'} status
+ * @property {string | null} error
+ * @property {string} startedAt ISO time
+ * @property {string} endedAt ISO time
+ * @property {number} durationMs
+ * @property {RequestReport[]} requests
+ * @property {WriteReport[]} writes
+ * @property {import('./currencies.js').QuoteReport | null} currencies
+ * the provider and the configuration disagree on
+ */
+
+/**
+ * Outcome of one command run, built from the log entries it listens
+ * to, for schedulers to parse.
+ */
+export class RunReport {
+  /**
+   * @type {string}
+   */
+  #command;
+
+  /**
+   * @type {number}
+   */
+  #startedAt;
+
+  /**
+   * @type {RequestReport[]}
+   */
+  #requests = [];
+
+  /**
+   * @type {WriteReport[]}
+   */
+  #writes = [];
+
+  /**
+   * @type {import('./currencies.js').QuoteReport | null}
+   */
+  #currencies = null;
+
+  /**
+   * @param {object} options
+   * @param {string} options.command e.g. `fetch`
+   */
+  constructor(options) {
+    this.#command = options.command;
+    this.#startedAt = Date.now();
+  }
+
+  /**
+   * Picks up request and write entries, see `Logger.listen`.
+   *
+   * @param {import('./logger.js').LogEntry & Record<string, any>} entry
+   */
+  observe(entry) {
+    if (entry.event === 'http.request') {
+      this.#requests.push({
+        url: entry.url,
+        attempts: entry.attempts,
+        status: entry.status,
+        error: entry.error ?? null,
+        durationMs: entry.durationMs,
+      });
+    }
+
+    if (entry.event === 'fetcher.write') {
+      this.#writes.push({
+        date: entry.date,
+        written: entry.written,
+        unchanged: entry.unchanged,
+        quarantined: entry.quarantined,
+        failed: entry.failed,
+        missing: entry.missing,
+      });
+    }
+
+    if (entry.event === 'quotes.reconciled') {
+      this.#currencies = {
+        unconfigured: entry.unconfigured,
+        missing: entry.missing,
+        unknown: entry.unknown,
+        historic: entry.historic,
+      };
+    }
+  }
+
+  /**
+   * @param {unknown=} error that ended the run, if any
+   * @returns {Report}
+   */
+  finish(error) {
+    const endedAt = Date.now();
+
+    return {
+      command: this.#command,
+      status: error ? 'failed' : 'succeeded',
+      error: error ? String(error.message ?? error) : null,
+      startedAt: new Date(this.#startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      durationMs: endedAt - this.#startedAt,
+      requests: this.#requests,
+      writes: this.#writes,
+      currencies: this.#currencies,
+    };
+  }
+
+  /**
+   * @param {string} path
+   * @param {unknown=} error that ended the run, if any
+   * @param {import('./utils.js').FileIO=} io
+   * @returns {Promise<Report>}
+   */
+  async write(path, error, io = fileSystem) {
+    const report = this.finish(error);
+
+    await io.write(path, `${JSON.stringify(report, null, 2)}\n`);
+
+    return report;
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger } from './logger.js';
+import { RunReport } from './report.js';
+import { memoryIO } from './testing.js';
+import { HttpClient } from './utils.js';
+
+describe('RunReport', () => {
+  it('should report requests and writes', async () => {
+    const report = new RunReport({ command: 'fetch' });
+    const files = {};
+
+    report.observe({
+      event: 'http.request',
+      url: 'https://example.org/api?access_key=REDACTED',
+      attempts: 2,
+      status: 200,
+      durationMs: 12,
+    });
+
+    report.observe({
+      event: 'fetcher.write',
+      date: '2024-01-02',
+      written: ['EUR/USD'],
+      unchanged: [],
+      quarantined: [],
+      failed: ['EUR/GBP'],
+      missing: ['EUR/VES'],
+    });
+
+    report.observe({ event: 'http.retry', attempt: 1 });
+
+    const result = await report.write(
+      'report.json',
+      undefined,
+      memoryIO(files)
+    );
+
+    assert.deepEqual(JSON.parse(files['report.json']), result);
+    assert.equal(result.command, 'fetch');
+    assert.equal(result.status, 'succeeded');
+    assert.equal(result.error, null);
+    assert.ok(result.durationMs >= 0);
+    assert.ok(result.endedAt >= result.startedAt);
+
+    assert.deepEqual(result.requests, [
+      {
+        url: 'https://example.org/api?access_key=REDACTED',
+        attempts: 2,
+        status: 200,
+        error: null,
+        durationMs: 12,
+      },
+    ]);
+
+    assert.deepEqual(result.writes, [
+      {
+        date: '2024-01-02',
+        written: ['EUR/USD'],
+        unchanged: [],
+        quarantined: [],
+        failed: ['EUR/GBP'],
+        missing: ['EUR/VES'],
+      },
+    ]);
+
+    assert.equal(result.currencies, null);
+  });
+
+  it('should keep API keys of failed requests out', async () => {
+    const report = new RunReport({ command: 'fetch' });
+    const files = {};
+
+    const logger = new Logger({
+      level: 'error',
+      listeners: [(entry) => report.observe(entry)],
+    });
+
+    const client = new HttpClient({
+      fetch: async () => ({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        headers: new Headers(),
+      }),
+      logger,
+    });
+
+    const error = await client
+      .get(
+        'https://example.org/api/2024-01-03?access_key=SUPERSECRET'
+      )
+      .catch((error) => error);
+
+    await report.write('report.json', error, memoryIO(files));
+
+    assert.match(files['report.json'], /access_key=REDACTED/);
+    assert.doesNotMatch(files['report.json'], /SUPERSECRET/);
+  });
+
+  it('should report the error ending the run', () => {
+    const report = new RunReport({ command: 'backfill' });
+    const result = report.finish(new Error('Quota exceeded'));
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'Quota exceeded');
+  });
+});
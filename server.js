@@ -0,0 +1,355 @@
+import { createHash } from 'crypto';
+import { createServer } from 'http';
+import { join } from 'path';
+import { isDate } from './dates.js';
+import { formats } from './formats.js';
+import { Logger } from './logger.js';
+import { RateNotFoundError, RateStore } from './rates.js';
+import { fileSystem, listDirectory } from './utils.js';
+
+/**
+ * @typedef {object} ApiResponse
+ * @property {number} status
+ * @property {any} json body for JSON clients
+ * @property {string=} csv body for CSV clients, JSON only if missing
+ */
+
+/**
+ * Thrown by routes to answer with an error status.
+ */
+export class ApiError extends Error {
+  /**
+   * @type {number}
+   */
+  status;
+
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+const CURRENCY = /^[A-Z]{3}$/;
+
+/**
+ * @param {URLSearchParams} query
+ * @param {string} name
+ * @returns {string | undefined}
+ * @throws {ApiError} for malformed dates
+ */
+const dateParam = (query, name) => {
+  const value = query.get(name) || undefined;
+
+  if (value !== undefined && !isDate(value)) {
+    throw new ApiError(
+      400,
+      `"${name}" must be a YYYY-MM-DD date, got "${value}"`
+    );
+  }
+
+  return value;
+};
+
+/**
+ * @param {Error} error
+ * @returns {Error} an `ApiError` for missing rates
+ */
+const notFound = (error) => {
+  return error instanceof RateNotFoundError
+    ? new ApiError(404, error.message)
+    : error;
+};
+
+/**
+ * @param {RateStore} store
+ * @param {string} base
+ * @param {string} quote
+ * @param {URLSearchParams} query
+ * @returns {Promise<ApiResponse>}
+ */
+const series = async (store, base, quote, query) => {
+  const from = dateParam(query, 'from');
+  const to = dateParam(query, 'to');
+  let rows;
+
+  try {
+    rows = await store.getSeries(quote, from, to, { base });
+  } catch (error) {
+    throw notFound(error);
+  }
+
+  return {
+    status: 200,
+    json: { base, quote, rates: rows },
+    csv: formats.csv.format(rows),
+  };
+};
+
+/**
+ * @param {string} dataPath
+ * @param {string} base
+ * @returns {Promise<ApiResponse>}
+ */
+const latest = async (dataPath, base) => {
+  const rates = {};
+  const lines = [];
+  let date = null;
+
+  for (const name of await listDirectory(join(dataPath, base))) {
+    const match = /^([A-Z]{3})\.latest\.csv$/.exec(name);
+
+    if (!match) {
+      continue;
+    }
+
+    const content = await fileSystem.read(join(dataPath, base, name));
+    const [row] = formats.csv.parse(content);
+
+    if (row) {
+      rates[match[1]] = row.rate;
+      date = date && date > row.date ? date : row.date;
+      lines.push(`${match[1]},${row.date},${row.rate ?? ''}\n`);
+    }
+  }
+
+  if (!lines.length) {
+    throw new ApiError(404, `No latest "${base}" rates`);
+  }
+
+  return {
+    status: 200,
+    json: { base, date, rates },
+    csv: lines.join(''),
+  };
+};
+
+/**
+ * @param {RateStore} store
+ * @param {URLSearchParams} query
+ * @returns {Promise<ApiResponse>}
+ */
+const conversion = async (store, query) => {
+  const raw = (query.get('amount') || '').trim();
+  // `Number('')` is 0, which would convert a missing amount
+  const amount = raw ? Number(raw) : NaN;
+  const from = (query.get('from') || '').toUpperCase();
+  const to = (query.get('to') || '').toUpperCase();
+  const date = dateParam(query, 'date');
+
+  if (
+    !Number.isFinite(amount) ||
+    !CURRENCY.test(from) ||
+    !CURRENCY.test(to)
+  ) {
+    throw new ApiError(
+      400,
+      'expected "amount", "from" and "to" currency code parameters'
+    );
+  }
+
+  let result;
+
+  try {
+    result = await store.convert(amount, from, to, date);
+  } catch (error) {
+    throw notFound(error);
+  }
+
+  return {
+    status: 200,
+    json: result,
+    csv: `${result.amount},${result.from},${result.to},${result.date},${result.rate},${result.result}\n`,
+  };
+};
+
+/**
+ * @param {string} dataPath
+ * @param {RateStore} store over `dataPath`
+ * @param {URL} url
+ * @returns {Promise<ApiResponse>}
+ */
+const route = async (dataPath, store, url) => {
+  const [version, ...segments] = url.pathname
+    .split('/')
+    .filter(Boolean);
+
+  if (version === 'v1') {
+    if (segments.length === 1 && segments[0] === 'convert') {
+      return conversion(store, url.searchParams);
+    }
+
+    const [base, quote] = segments;
+
+    if (segments.length === 2 && CURRENCY.test(base)) {
+      if (quote === 'latest') {
+        return latest(dataPath, base);
+      }
+
+      if (CURRENCY.test(quote)) {
+        return series(store, base, quote, url.searchParams);
+      }
+    }
+  }
+
+  throw new ApiError(404, `No such endpoint "${url.pathname}"`);
+};
+
+/**
+ * Picks CSV for clients that prefer it, JSON otherwise.
+ *
+ * @param {string | undefined} accept
+ * @returns {'json' | 'csv' | null} null if neither is acceptable
+ */
+export const negotiate = (accept) => {
+  if (!accept) {
+    return 'json';
+  }
+
+  const types = accept
+    .split(',')
+    .map((part) => {
+      const [type, ...params] = part.trim().split(';');
+      const q = params
+        .map((param) => param.trim().split('='))
+        .find(([name]) => name === 'q');
+
+      return { type: type.trim(), q: q ? Number(q[1]) : 1 };
+    })
+    .filter(({ q }) => q > 0)
+    .sort((prev, next) => next.q - prev.q);
+
+  for (const { type } of types) {
+    if (type === 'text/csv') {
+      return 'csv';
+    }
+
+    if (['application/json', 'application/*', '*/*'].includes(type)) {
+      return 'json';
+    }
+
+    if (type === 'text/*') {
+      return 'csv';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Request listener serving datasets under `dataPath` read-only.
+ *
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @param {Logger=} options.logger
+ * @returns {(request: import('http').IncomingMessage, response: import('http').ServerResponse) => Promise<void>}
+ */
+export const createApi = (options) => {
+  const store = new RateStore({ dataPath: options.dataPath });
+  const logger = options.logger || new Logger();
+
+  return async (request, response) => {
+    const type = negotiate(request.headers.accept);
+    let result;
+
+    try {
+      if (!URL.canParse(request.url, 'http://localhost')) {
+        throw new ApiError(400, 'Malformed request target');
+      }
+
+      const url = new URL(request.url, 'http://localhost');
+
+      if (!['GET', 'HEAD'].includes(request.method)) {
+        response.setHeader('Allow', 'GET, HEAD');
+
+        throw new ApiError(
+          405,
+          `Method "${request.method}" is not allowed`
+        );
+      }
+
+      if (!type) {
+        throw new ApiError(406, 'Only JSON and CSV are served');
+      }
+
+      result = await route(options.dataPath, store, url);
+    } catch (error) {
+      const status = error instanceof ApiError ? error.status : 500;
+
+      if (status === 500) {
+        logger.error(
+          `Failed to answer ${request.method} "${request.url}": ${error.message}`,
+          {
+            event: 'api.error',
+            method: request.method,
+            url: request.url,
+            error: error.stack,
+          }
+        );
+      }
+
+      result = {
+        status,
+        json: {
+          error: status === 500 ? 'Internal error' : error.message,
+        },
+      };
+    }
+
+    const csv = type === 'csv' && result.csv !== undefined;
+    const body = csv
+      ? result.csv
+      : `${JSON.stringify(result.json)}\n`;
+
+    response.setHeader('Vary', 'Accept');
+    response.setHeader(
+      'Content-Type',
+      csv
+        ? 'text/csv; charset=utf-8'
+        : 'application/json; charset=utf-8'
+    );
+
+    if (result.status === 200) {
+      const hash = createHash('sha256').update(body).digest('hex');
+      const etag = `"${hash.substring(0, 32)}"`;
+      const match = request.headers['if-none-match'] || '';
+
+      response.setHeader('ETag', etag);
+      response.setHeader('Cache-Control', 'public, max-age=300');
+
+      if (match.split(',').some((tag) => tag.trim() === etag)) {
+        response.writeHead(304).end();
+
+        return;
+      }
+    } else {
+      response.setHeader('Cache-Control', 'no-store');
+    }
+
+    response.setHeader('Content-Length', Buffer.byteLength(body));
+    response.writeHead(result.status);
+    response.end(request.method === 'HEAD' ? undefined : body);
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @param {number} options.port 0 picks a free one
+ * @param {string=} options.host
+ * @param {Logger=} options.logger
+ * @returns {Promise<import('http').Server>} once listening
+ */
+export const startServer = (options) => {
+  const server = createServer(createApi(options));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => resolve(server));
+  });
+};
@@ -0,0 +1,249 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { connect } from 'net';
+import { join } from 'path';
+import { Logger } from './logger.js';
+import { negotiate, startServer } from './server.js';
+
+describe('negotiate', () => {
+  it('should default to JSON', () => {
+    assert.equal(negotiate(undefined), 'json');
+    assert.equal(negotiate('*/*'), 'json');
+    assert.equal(negotiate('application/json'), 'json');
+  });
+
+  it('should pick the preferred acceptable type', () => {
+    assert.equal(negotiate('text/csv'), 'csv');
+    assert.equal(
+      negotiate('application/json;q=0.5, text/csv;q=0.9'),
+      'csv'
+    );
+    assert.equal(negotiate('text/html, application/json'), 'json');
+  });
+
+  it('should refuse other types', () => {
+    assert.equal(negotiate('text/html'), null);
+    assert.equal(negotiate('text/csv;q=0'), null);
+  });
+});
+
+describe('startServer', () => {
+  let dir;
+  let server;
+  let origin;
+  let entries;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'server-'));
+
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(
+      join(dir, 'EUR', 'USD.csv'),
+      '2024-01-02,1.1\n2024-01-03,1.2\n2024-01-04,1.3\n'
+    );
+    await writeFile(
+      join(dir, 'EUR', 'USD.latest.csv'),
+      '2024-01-04,1.3\n'
+    );
+    await writeFile(
+      join(dir, 'EUR', 'GBP.latest.csv'),
+      '2024-01-04,0.86\n'
+    );
+
+    entries = [];
+    server = await startServer({
+      dataPath: dir,
+      port: 0,
+      logger: new Logger({
+        listeners: [(entry) => entries.push(entry)],
+      }),
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    server.closeAllConnections();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should serve series within range', async () => {
+    const response = await fetch(
+      `${origin}/v1/EUR/USD?from=2024-01-03&to=2024-01-03`
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get('content-type'),
+      'application/json; charset=utf-8'
+    );
+    assert.deepEqual(await response.json(), {
+      base: 'EUR',
+      quote: 'USD',
+      rates: [{ date: '2024-01-03', rate: 1.2 }],
+    });
+  });
+
+  it('should serve CSV on request', async () => {
+    const response = await fetch(
+      `${origin}/v1/EUR/USD?from=2024-01-04`,
+      {
+        headers: { accept: 'text/csv' },
+      }
+    );
+
+    assert.equal(response.headers.get('vary'), 'Accept');
+    assert.equal(
+      response.headers.get('content-type'),
+      'text/csv; charset=utf-8'
+    );
+    assert.equal(await response.text(), '2024-01-04,1.3\n');
+  });
+
+  it('should serve latest rates of a base', async () => {
+    const response = await fetch(`${origin}/v1/EUR/latest`);
+
+    assert.deepEqual(await response.json(), {
+      base: 'EUR',
+      date: '2024-01-04',
+      rates: { GBP: 0.86, USD: 1.3 },
+    });
+  });
+
+  it('should convert amounts', async () => {
+    const response = await fetch(
+      `${origin}/v1/convert?amount=10&from=EUR&to=USD&date=2024-01-02`
+    );
+
+    assert.deepEqual(await response.json(), {
+      amount: 10,
+      from: 'EUR',
+      to: 'USD',
+      date: '2024-01-02',
+      rate: 1.1,
+      result: 11,
+      fallback: false,
+    });
+  });
+
+  it('should serve inverse series', async () => {
+    const response = await fetch(
+      `${origin}/v1/USD/EUR?from=2024-01-04`,
+      { headers: { accept: 'text/csv' } }
+    );
+
+    assert.equal(await response.text(), '2024-01-04,0.7692307692\n');
+  });
+
+  it('should answer not modified for a known ETag', async () => {
+    const first = await fetch(`${origin}/v1/EUR/USD`);
+    const etag = first.headers.get('etag');
+
+    assert.match(etag, /^"[0-9a-f]{32}"$/);
+    assert.equal(
+      first.headers.get('cache-control'),
+      'public, max-age=300'
+    );
+
+    const second = await fetch(`${origin}/v1/EUR/USD`, {
+      headers: { 'if-none-match': etag },
+    });
+
+    assert.equal(second.status, 304);
+  });
+
+  it('should answer 404 for unknown quotes and endpoints', async () => {
+    for (const path of [
+      '/v1/EUR/XYZ',
+      '/v1/EUR/usd',
+      '/v2/EUR/USD',
+    ]) {
+      const response = await fetch(`${origin}${path}`);
+
+      assert.equal(response.status, 404, path);
+      assert.equal(response.headers.get('cache-control'), 'no-store');
+    }
+
+    const response = await fetch(`${origin}/v1/EUR/XYZ`);
+
+    assert.deepEqual(await response.json(), {
+      error: 'No "EUR/XYZ" dataset',
+    });
+  });
+
+  it('should log internal errors', async () => {
+    mock.method(console, 'error', () => {});
+    await mkdir(join(dir, 'EUR', 'CHF.csv'));
+
+    const response = await fetch(`${origin}/v1/EUR/CHF`);
+
+    console.error.mock.restore();
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), {
+      error: 'Internal error',
+    });
+    assert.equal(entries.at(-1).event, 'api.error');
+    assert.match(
+      entries.at(-1).message,
+      /^Failed to answer GET "\/v1\/EUR\/CHF": EISDIR/
+    );
+  });
+
+  it('should reject bad requests', async () => {
+    const invalid = await fetch(
+      `${origin}/v1/EUR/USD?from=yesterday`
+    );
+
+    assert.equal(invalid.status, 400);
+
+    for (const amount of ['', '%20', 'ten']) {
+      const conversion = await fetch(
+        `${origin}/v1/convert?amount=${amount}&from=usd&to=gbp`
+      );
+
+      assert.equal(conversion.status, 400, amount);
+    }
+
+    const missing = await fetch(
+      `${origin}/v1/convert?from=usd&to=gbp`
+    );
+
+    assert.equal(missing.status, 400);
+
+    const posted = await fetch(`${origin}/v1/EUR/USD`, {
+      method: 'POST',
+    });
+
+    assert.equal(posted.status, 405);
+    assert.equal(posted.headers.get('allow'), 'GET, HEAD');
+
+    const html = await fetch(`${origin}/v1/EUR/USD`, {
+      headers: { accept: 'text/html' },
+    });
+
+    assert.equal(html.status, 406);
+  });
+
+  it('should reject malformed request targets', async () => {
+    const socket = connect(server.address().port, '127.0.0.1');
+    let answer = '';
+
+    socket.setEncoding('utf-8');
+    socket.on('data', (chunk) => (answer += chunk));
+    socket.end(
+      'GET //[/ HTTP/1.1\r\nHost: x\r\nConnection: close\r\n\r\n'
+    );
+
+    await new Promise((resolve) => socket.on('close', resolve));
+
+    assert.match(answer, /^HTTP\/1\.1 400 /);
+    assert.match(answer, /Malformed request target/);
+
+    const alive = await fetch(`${origin}/v1/EUR/latest`);
+
+    assert.equal(alive.status, 200);
+  });
+});
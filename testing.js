@@ -0,0 +1,13 @@
+/**
+ * Keeps files in `files` by path, so tests can set them up and inspect
+ * what was written.
+ *
+ * @param {Record<string, string>} files
+ * @returns {import('./utils.js').FileIO}
+ */
+export const memoryIO = (files) => ({
+  read: async (path) => files[path] || '',
+  write: async (path, content) => {
+    files[path] = content;
+  },
+});
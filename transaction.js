@@ -0,0 +1,175 @@
+import { randomUUID } from 'crypto';
+import {
+  copyFile,
+  mkdir,
+  readFile,
+  rename,
+  rm,
+  writeFile,
+} from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Stages file writes next to their targets and moves them into place
+ * only on `commit()`, so a failed run leaves the data untouched. Targets
+ * are backed up while committing, so files already replaced are
+ * restored if a later one fails. A crash midway still leaves them
+ * replaced, with backups next to them.
+ */
+export class Transaction {
+  /**
+   * @type {Map<string, string>}
+   */
+  #staged = new Map();
+
+  /**
+   * @type {boolean}
+   */
+  #closed = false;
+
+  /**
+   * @returns {string[]}
+   */
+  get paths() {
+    return [...this.#staged.keys()];
+  }
+
+  /**
+   * Reads staged content if the path was written in this transaction,
+   * otherwise the current file content.
+   *
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async read(path) {
+    try {
+      return await readFile(this.#staged.get(path) || path, {
+        encoding: 'utf-8',
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @param {string} content
+   * @returns {Promise<void>}
+   */
+  async write(path, content) {
+    this.#assertOpen();
+
+    const tempPath =
+      this.#staged.get(path) || `${path}.${randomUUID()}.tmp`;
+
+    this.#staged.set(path, tempPath);
+
+    await mkdir(dirname(path), { recursive: true });
+
+    return writeFile(tempPath, content, {
+      encoding: 'utf-8',
+      flag: 'w',
+    });
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this.#assertOpen();
+    this.#closed = true;
+
+    const staged = [...this.#staged.entries()];
+
+    /**
+     * @type {[string, string | null][]} targets and their backups,
+     * `null` for targets that did not exist
+     */
+    const backups = [];
+
+    try {
+      for (const [path, tempPath] of staged) {
+        backups.push([path, await this.#backUp(path)]);
+
+        await rename(tempPath, path);
+      }
+    } catch (error) {
+      await this.#restore(backups);
+      await this.#remove(staged);
+
+      throw error;
+    }
+
+    await Promise.all(
+      backups.map(([, backupPath]) => {
+        return backupPath && rm(backupPath, { force: true });
+      })
+    );
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    this.#closed = true;
+
+    await this.#remove([...this.#staged.entries()]);
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<string | null>} path of the copy, none if there
+   * is no file to back up
+   */
+  async #backUp(path) {
+    const backupPath = `${path}.${randomUUID()}.bak`;
+
+    try {
+      await copyFile(path, backupPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+
+    return backupPath;
+  }
+
+  /**
+   * @param {[string, string | null][]} backups
+   * @returns {Promise<void>}
+   */
+  async #restore(backups) {
+    await Promise.all(
+      backups.map(([path, backupPath]) => {
+        return backupPath
+          ? rename(backupPath, path)
+          : rm(path, { force: true });
+      })
+    );
+  }
+
+  /**
+   * @param {[string, string][]} staged
+   * @returns {Promise<void>}
+   */
+  async #remove(staged) {
+    await Promise.all(
+      staged.map(([, tempPath]) => rm(tempPath, { force: true }))
+    );
+  }
+
+  #assertOpen() {
+    if (this.#closed) {
+      throw new Error(
+        'Transaction is already committed or rolled back'
+      );
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Transaction } from './transaction.js';
+
+describe('Transaction', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'transaction-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should not touch target files before commit', async () => {
+    const path = join(dir, 'USD.csv');
+    await writeFile(path, 'old\n');
+
+    const transaction = new Transaction();
+    await transaction.write(path, 'new\n');
+
+    assert.equal(await readFile(path, 'utf-8'), 'old\n');
+    assert.equal(await transaction.read(path), 'new\n');
+  });
+
+  it('should move staged files into place on commit', async () => {
+    const transaction = new Transaction();
+    await transaction.write(join(dir, 'USD.csv'), 'usd\n');
+    await transaction.write(join(dir, 'GBP.csv'), 'gbp\n');
+
+    await transaction.commit();
+
+    assert.deepEqual((await readdir(dir)).sort(), [
+      'GBP.csv',
+      'USD.csv',
+    ]);
+    assert.equal(
+      await readFile(join(dir, 'USD.csv'), 'utf-8'),
+      'usd\n'
+    );
+  });
+
+  it('should restore replaced files if a later one fails', async () => {
+    const path = join(dir, 'USD.csv');
+    await writeFile(path, 'old\n');
+    await mkdir(join(dir, 'JPY.csv'));
+
+    const transaction = new Transaction();
+    await transaction.write(join(dir, 'GBP.csv'), 'gbp\n');
+    await transaction.write(path, 'new\n');
+    await transaction.write(join(dir, 'JPY.csv'), 'jpy\n');
+
+    await assert.rejects(transaction.commit());
+
+    assert.deepEqual((await readdir(dir)).sort(), [
+      'JPY.csv',
+      'USD.csv',
+    ]);
+    assert.equal(await readFile(path, 'utf-8'), 'old\n');
+  });
+
+  it('should remove staged files on rollback', async () => {
+    const path = join(dir, 'USD.csv');
+    await writeFile(path, 'old\n');
+
+    const transaction = new Transaction();
+    await transaction.write(path, 'new\n');
+    await transaction.write(join(dir, 'GBP.csv'), 'gbp\n');
+
+    await transaction.rollback();
+
+    assert.deepEqual(await readdir(dir), ['USD.csv']);
+    assert.equal(await readFile(path, 'utf-8'), 'old\n');
+  });
+
+  it('should reuse one staged file for repeated writes', async () => {
+    const path = join(dir, 'USD.csv');
+
+    const transaction = new Transaction();
+    await transaction.write(path, 'first\n');
+    await transaction.write(path, 'second\n');
+
+    assert.equal((await readdir(dir)).length, 1);
+    assert.deepEqual(transaction.paths, [path]);
+  });
+
+  it('should read missing files as empty', async () => {
+    const transaction = new Transaction();
+
+    assert.equal(await transaction.read(join(dir, 'none.csv')), '');
+  });
+
+  it('should refuse writes after commit', async () => {
+    const transaction = new Transaction();
+    await transaction.commit();
+
+    await assert.rejects(
+      transaction.write(join(dir, 'USD.csv'), 'late\n'),
+      new Error('Transaction is already committed or rolled back')
+    );
+  });
+});
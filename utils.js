@@ -1,4 +1,8 @@
-import { appendFile, writeFile } from 'fs/promises';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { Logger, redactUrl } from './logger.js';
+import { Transaction } from './transaction.js';
+import { assertValidRates } from './validation.js';
 
 /**
  * @param {string} name
@@ -24,6 +28,111 @@ export const wait = (delay) => {
   });
 };
 
+export class HttpError extends Error {
+  /**
+   * @type {number}
+   */
+  status;
+
+  /**
+   * @type {number | undefined}
+   */
+  retryAfter;
+
+  /**
+   * @param {string} message
+   * @param {object} options
+   * @param {number} options.status
+   * @param {number=} options.retryAfter delay in milliseconds the server
+   * asked to wait before retrying
+   */
+  constructor(message, options) {
+    super(message);
+
+    this.status = options.status;
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * @typedef {object} WriteFailure
+ * @property {string} base
+ * @property {string} quote
+ * @property {string} path
+ * @property {any} error
+ */
+
+export class WriteError extends Error {
+  /**
+   * @type {WriteFailure[]}
+   */
+  failures;
+
+  /**
+   * @param {WriteFailure[]} failures
+   * @param {object} options
+   * @param {number} options.total quotes attempted
+   */
+  constructor(failures, options) {
+    const list = failures
+      .map((failure) => {
+        const reason =
+          failure.error?.message || String(failure.error);
+
+        return `  ${failure.base}/${failure.quote}: ${reason}`;
+      })
+      .join('\n');
+
+    super(
+      `Failed to write ${failures.length} of ${options.total} ` +
+        `quote(s):\n${list}`,
+      { cause: failures[0]?.error }
+    );
+
+    this.name = 'WriteError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * @param {string | null} value `Retry-After` header, either seconds or
+ * an HTTP date
+ * @param {number=} now
+ * @returns {number | undefined} delay in milliseconds
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const time = Date.parse(value);
+
+  return Number.isNaN(time) ? undefined : Math.max(time - now, 0);
+};
+
+/**
+ * Network errors, timeouts and 5xx, 408 and 429 responses may pass on
+ * retry; other 4xx responses such as a bad API key will not.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export const isRetriable = (error) => {
+  if (error instanceof HttpError) {
+    return (
+      error.status >= 500 ||
+      error.status === 408 ||
+      error.status === 429
+    );
+  }
+
+  return true;
+};
+
 export class HttpClient {
   /**
    * @type {number}
@@ -40,69 +149,265 @@ export class HttpClient {
    */
   #backoff;
 
+  /**
+   * @type {number}
+   */
+  #factor;
+
+  /**
+   * @type {number}
+   */
+  #maxBackoff;
+
+  /**
+   * @type {number}
+   */
+  #jitter;
+
+  /**
+   * @type {import('./quota.js').RateLimiter | undefined}
+   */
+  #limiter;
+
+  /**
+   * @type {import('./quota.js').QuotaLedger | undefined}
+   */
+  #ledger;
+
+  /**
+   * @type {typeof fetch | undefined}
+   */
+  #fetch;
+
+  /**
+   * @type {Logger}
+   */
+  #logger;
+
+  /**
+   * @type {(url: string) => string}
+   */
+  #redact;
+
   /**
    * @param {object} options
    * @param {number=} options.retries
    * @param {number=} options.timeout
-   * @param {number=} options.backoff
+   * @param {number=} options.backoff delay before the first retry
+   * @param {number=} options.factor multiplies the delay on each retry
+   * @param {number=} options.maxBackoff longest delay to wait, also for
+   * `Retry-After`: asking for more fails the request right away
+   * @param {number=} options.jitter fraction of the delay, from 0 to 1,
+   * randomly taken off to spread retries of concurrent clients
+   * @param {import('./quota.js').RateLimiter=} options.limiter delays
+   * requests, retries included, to stay within a rate limit
+   * @param {import('./quota.js').QuotaLedger=} options.ledger books
+   * every request, retries included, refusing those over the quota
+   * @param {typeof fetch=} options.fetch global `fetch` by default,
+   * e.g. to record or replay responses
+   * @param {Logger=} options.logger
+   * @param {((url: string) => string)=} options.redact shows URLs in
+   * logs and errors, `redactUrl` by default
    */
   constructor(options = {}) {
     this.#retries = options.retries || 0;
     this.#timeout = options.timeout || 10_000;
     this.#backoff = options.backoff || 3_000;
+    this.#factor = options.factor || 2;
+    this.#maxBackoff = options.maxBackoff || 60_000;
+    this.#jitter = options.jitter || 0;
+    this.#limiter = options.limiter;
+    this.#ledger = options.ledger;
+    this.#fetch = options.fetch;
+    this.#logger = options.logger || new Logger();
+    this.#redact = options.redact || redactUrl;
+  }
+
+  /**
+   * @template T
+   *
+   * @param {string} url
+   * @param {object} options
+   * @param {Record<string, string>=} options.headers
+   * @param {('json' | 'text')=} options.type response body type,
+   * `json` by default
+   * @returns {Promise<T>}
+   */
+  async get(url, options = {}) {
+    return this.#request(
+      url,
+      { headers: options.headers },
+      options.type
+    );
   }
 
   /**
+   * Posts `body` as JSON, retrying like `get`.
+   *
    * @template T
    *
    * @param {string} url
+   * @param {any} body
+   * @param {object} options
+   * @param {Record<string, string>=} options.headers
+   * @param {('json' | 'text')=} options.type response body type,
+   * `text` by default
    * @returns {Promise<T>}
    */
-  async get(url) {
+  async post(url, body, options = {}) {
+    return this.#request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers,
+        },
+        body: JSON.stringify(body),
+      },
+      options.type || 'text'
+    );
+  }
+
+  /**
+   * @template T
+   *
+   * @param {string} url
+   * @param {{ method?: string, headers?: Record<string, string>, body?: string }} init
+   * @param {('json' | 'text')=} type
+   * @returns {Promise<T>}
+   */
+  async #request(url, init, type) {
     const retries = this.#retries;
     const timeout = this.#timeout;
+    const fetch = this.#fetch || globalThis.fetch;
+    const method = init.method || 'GET';
+    const target = this.#redact(url);
+    const startedAt = Date.now();
+
+    /**
+     * @param {number} attempts
+     * @param {object} outcome
+     * @param {number | null} outcome.status
+     * @param {string=} outcome.error
+     */
+    const logRequest = (attempts, outcome) => {
+      this.#logger.debug(
+        `${method} "${target}" ${outcome.error ? 'failed' : 'succeeded'} in ${attempts} attempt(s)`,
+        {
+          event: 'http.request',
+          method,
+          url: target,
+          attempts,
+          ...outcome,
+          durationMs: Date.now() - startedAt,
+        }
+      );
+    };
 
     for (let i = 0; i < retries + 1; i++) {
+      await this.#ledger?.reserve();
+      await this.#limiter?.take();
+
       try {
         const response = await fetch(url, {
+          ...init,
           signal: AbortSignal.timeout(timeout),
         });
 
         if (!response.ok) {
-          throw new Error(
-            `HTTP ${response.status}: "${response.statusText}" on "${url}"`
+          const { status } = response;
+
+          throw new HttpError(
+            `HTTP ${status}: "${response.statusText}" on "${target}"`,
+            {
+              status,
+              retryAfter:
+                status === 429 || status === 503
+                  ? parseRetryAfter(
+                      response.headers.get('retry-after')
+                    )
+                  : undefined,
+            }
           );
         }
 
-        const data = await response.json();
+        const data =
+          type === 'text'
+            ? await response.text()
+            : await response.json();
+
+        logRequest(i + 1, { status: response.status });
 
         return data;
       } catch (error) {
-        if (i < retries) {
+        const delay = this.#delay(i, error);
+
+        if (
+          i < retries &&
+          isRetriable(error) &&
+          delay <= this.#maxBackoff
+        ) {
           const attempt = i + 1;
 
-          console.warn(
-            `Attempt ${attempt}/${retries} failed for "${url}", retrying...`
+          this.#logger.warn(
+            `Attempt ${attempt}/${retries} failed for "${target}", retrying...`,
+            {
+              event: 'http.retry',
+              url: target,
+              attempt,
+              delay,
+              error: error.message,
+            }
           );
 
-          await wait(this.#backoff);
+          await wait(delay);
         } else {
+          logRequest(i + 1, {
+            status: error.status ?? null,
+            error: error.message,
+          });
+
           throw error;
         }
       }
     }
   }
+
+  /**
+   * @param {number} retry zero-based
+   * @param {unknown} error
+   * @returns {number}
+   */
+  #delay(retry, error) {
+    if (
+      error instanceof HttpError &&
+      error.retryAfter !== undefined
+    ) {
+      return error.retryAfter;
+    }
+
+    const delay = Math.min(
+      this.#backoff * this.#factor ** retry,
+      this.#maxBackoff
+    );
+
+    return Math.round(delay - delay * this.#jitter * Math.random());
+  }
 }
 
 /**
  * @param {object} data
  * @param {string} data.date
  * @param {Record<string, number>} data.rates
+ * @param {boolean=} data.carried flags lines as carried forward
  * @param {object} options
  * @param {string[]} options.quotes
  * @returns {[string, string][]}
  */
 export const dataToLines = (data, options) => {
+  const flag = data.carried ? ',carried' : '';
+
   const lines = Object.entries(data.rates)
     .filter(([quote]) => {
       return options.quotes.includes(quote);
@@ -111,84 +416,334 @@ export const dataToLines = (data, options) => {
       return prevQuote.localeCompare(nextQuote);
     })
     .map(([quote, rate]) => {
-      return [quote, `${data.date},${rate || ''}`];
+      return [quote, `${data.date},${rate ?? ''}${flag}`];
     });
 
   return lines;
 };
 
+/**
+ * Cross-computes rates against another base currency, e.g. EUR-based
+ * `{ USD: 1.25, GBP: 0.8 }` to USD-based `{ EUR: 0.8, GBP: 0.64 }`.
+ *
+ * @param {object} data
+ * @param {string} data.date
+ * @param {Record<string, number>} data.rates
+ * @param {object} options
+ * @param {string} options.from base currency of `data.rates`
+ * @param {string} options.to
+ * @returns {{ date: string, rates: Record<string, number> }}
+ */
+export const rebase = (data, options) => {
+  const rates = { ...data.rates, [options.from]: 1 };
+  const baseRate = rates[options.to];
+
+  if (!baseRate) {
+    throw new Error(
+      `No "${options.to}" rate to rebase "${data.date}" rates on`
+    );
+  }
+
+  const rebased = Object.entries(rates).map(([quote, rate]) => {
+    return [
+      quote,
+      rate ? Number((rate / baseRate).toPrecision(10)) : rate,
+    ];
+  });
+
+  return { ...data, rates: Object.fromEntries(rebased) };
+};
+
+/**
+ * @param {AbortSignal} signal
+ * @returns {Promise<never>} rejected with the abort reason
+ */
+const rejectOnAbort = (signal) => {
+  return new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), {
+      once: true,
+    });
+  });
+};
+
+/**
+ * @template T
+ * @typedef {{ status: 'fulfilled', value: T }
+ *   | { status: 'rejected', error: any }} Settled
+ */
+
+/**
+ * @typedef {object} Progress
+ * @property {number} done settled tasks so far, failed ones included
+ * @property {number} failed
+ * @property {number} total
+ */
+
 /**
  * @template T
  */
 export class Concurrency {
   /**
-   * @type {(() => Promise<T>)[]}
+   * @type {((signal?: AbortSignal) => Promise<T>)[]}
    */
   #promises;
 
   /**
-   * @type {T[]}
-   */
-  #results;
-
-  /**
-   * @param {(() => Promise<T>)[]} promises
+   * @param {((signal?: AbortSignal) => Promise<T>)[]} promises tasks,
+   * given a signal aborted on cancellation or timeout when those are
+   * enabled
    */
   constructor(promises) {
     this.#promises = promises;
-    this.#results = new Array(promises.length);
   }
 
   /**
+   * Runs tasks `batchSize` at a time. By default, no new task is
+   * started after the first failure, whose error is thrown once
+   * running tasks are done.
+   *
    * @param {object} options
    * @param {number} options.batchSize
-   * @returns {Promise<void>}
+   * @param {boolean=} options.settled resolves with the outcome of
+   * every task instead, like `Promise.allSettled`
+   * @param {AbortSignal=} options.signal stops starting new tasks once
+   * aborted, those left out are rejected with the abort reason
+   * @param {number=} options.timeout per task, in milliseconds
+   * @param {(progress: Progress) => void=} options.onProgress called
+   * whenever a task settles
+   * @param {Logger=} options.logger
+   * @returns {Promise<T[] | Settled<T>[]>}
    */
   async run(options) {
-    const { batchSize } = options;
+    const {
+      batchSize,
+      settled,
+      signal,
+      timeout,
+      onProgress,
+      logger,
+    } = options;
+    const total = this.#promises.length;
+
+    /**
+     * @type {Settled<T>[]}
+     */
+    const outcomes = new Array(total);
     let currentIndex = 0;
+    let failed = 0;
+    let done = 0;
+
+    const isStopped = () =>
+      signal?.aborted || (!settled && failed > 0);
 
     const worker = async () => {
-      while (currentIndex < this.#promises.length) {
+      while (currentIndex < total && !isStopped()) {
         const index = currentIndex++;
 
-        if (index < this.#promises.length) {
-          this.#results[index] = await this.#promises[index]();
+        outcomes[index] = await this.#settle(index, signal, timeout);
+
+        done++;
+
+        if (outcomes[index].status === 'rejected') {
+          const { error } = outcomes[index];
+
+          failed++;
+
+          logger?.debug(`Task ${index} failed: ${error?.message}`, {
+            event: 'task.failed',
+            index,
+            error: error?.message,
+            timedOut: error?.name === 'TimeoutError',
+          });
         }
+
+        onProgress?.({ done, failed, total });
       }
     };
 
-    const workers = Array(Math.min(batchSize, this.#promises.length))
+    const workers = Array(Math.min(batchSize, total))
       .fill(null)
       .map(() => worker());
 
     await Promise.all(workers);
-    return this.#results;
+
+    for (let index = currentIndex; index < total; index++) {
+      outcomes[index] = { status: 'rejected', error: signal?.reason };
+    }
+
+    if (settled) {
+      return outcomes;
+    }
+
+    const rejected = outcomes.find(
+      (outcome) => outcome.status === 'rejected'
+    );
+
+    if (rejected) {
+      throw rejected.error;
+    }
+
+    return outcomes.map((outcome) => outcome.value);
+  }
+
+  /**
+   * @param {number} index
+   * @param {AbortSignal=} signal
+   * @param {number=} timeout
+   * @returns {Promise<Settled<T>>}
+   */
+  async #settle(index, signal, timeout) {
+    const controller = timeout ? new AbortController() : null;
+
+    // unlike `AbortSignal.timeout`, keeps the process alive meanwhile
+    const timer =
+      controller &&
+      setTimeout(() => {
+        controller.abort(
+          new DOMException(
+            `Task timed out after ${timeout}ms`,
+            'TimeoutError'
+          )
+        );
+      }, timeout);
+
+    const signals = [signal, controller?.signal].filter(Boolean);
+    const taskSignal =
+      signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+
+    try {
+      const task = this.#promises[index](taskSignal);
+
+      const value = await (controller
+        ? Promise.race([task, rejectOnAbort(controller.signal)])
+        : task);
+
+      return { status: 'fulfilled', value };
+    } catch (error) {
+      return { status: 'rejected', error };
+    } finally {
+      clearTimeout(timer);
+    }
   }
 }
 
+/**
+ * @typedef {object} FileIO
+ * @property {(path: string) => Promise<string>} read resolves to an
+ * empty string for missing files
+ * @property {(path: string, content: string) => Promise<void>} write
+ */
+
+/**
+ * @type {FileIO}
+ */
+export const fileSystem = {
+  read: async (path) => {
+    try {
+      return await readFile(path, { encoding: 'utf-8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+
+      throw error;
+    }
+  },
+  write: async (path, content) => {
+    await mkdir(dirname(path), { recursive: true });
+
+    return writeFile(path, content, {
+      encoding: 'utf-8',
+      flag: 'w',
+    });
+  },
+};
+
+/**
+ * @param {string} path
+ * @returns {Promise<string[]>} sorted entry names, none if `path` is
+ * not a directory
+ */
+export const listDirectory = async (path) => {
+  try {
+    return (await readdir(path)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+
+    throw error;
+  }
+};
+
 /**
  * @param {string} path
  * @param {string} line
+ * @param {FileIO=} io
  * @returns {Promise<void>}
  */
-export const writeLine = async (path, line) => {
-  return writeFile(path, `${line}\n`, {
-    encoding: 'utf-8',
-    flag: 'w',
-  });
+export const writeLine = async (path, line, io = fileSystem) => {
+  return io.write(path, `${line}\n`);
 };
 
 /**
  * @param {string} path
  * @param {string} line
+ * @param {FileIO=} io
  * @returns {Promise<void>}
  */
-export const appendLine = (path, line) => {
-  return appendFile(path, `${line}\n`, {
-    encoding: 'utf-8',
-    flag: 'a',
+export const appendLine = async (path, line, io = fileSystem) => {
+  const content = await io.read(path);
+
+  return io.write(path, `${content}${line}\n`);
+};
+
+/**
+ * @param {string} path
+ * @param {FileIO=} io
+ * @returns {Promise<string[]>}
+ */
+export const readLines = async (path, io = fileSystem) => {
+  const content = await io.read(path);
+
+  return content.split('\n').filter(Boolean);
+};
+
+/**
+ * @typedef {'inserted' | 'updated' | 'unchanged'} UpsertStatus
+ */
+
+/**
+ * Writes a `date,rate` line keeping the file sorted by date: replaces
+ * the row already present for that date or inserts a new one in place.
+ *
+ * @param {string} path
+ * @param {string} line
+ * @param {FileIO=} io
+ * @returns {Promise<UpsertStatus>}
+ */
+export const upsertLine = async (path, line, io = fileSystem) => {
+  const lines = await readLines(path, io);
+  const [date] = line.split(',');
+
+  const isSameDate = (existing) => existing.startsWith(`${date},`);
+  const existing = lines.filter(isSameDate);
+
+  if (existing.length === 1 && existing[0] === line) {
+    return 'unchanged';
+  }
+
+  const rest = lines.filter((existing) => !isSameDate(existing));
+
+  const index = rest.findIndex((existing) => {
+    return existing.split(',')[0] > date;
   });
+
+  rest.splice(index === -1 ? rest.length : index, 0, line);
+
+  await io.write(path, `${rest.join('\n')}\n`);
+
+  return existing.length ? 'updated' : 'inserted';
 };
 
 export class Fetcher {
@@ -202,34 +757,307 @@ export class Fetcher {
    */
   #quotes;
 
+  /**
+   * @type {import('./providers.js').Provider | undefined}
+   */
+  #provider;
+
+  /**
+   * @type {string}
+   */
+  #base;
+
+  /**
+   * @type {string[]}
+   */
+  #bases;
+
+  /**
+   * @type {import('./anomaly.js').AnomalyDetector | undefined}
+   */
+  #detector;
+
+  /**
+   * @type {Logger}
+   */
+  #logger;
+
   /**
    * @param {object} options
    * @param {HttpClient} options.httpClient
    * @param {string[]} options.quotes
+   * @param {import('./providers.js').Provider=} options.provider
+   * normalizes response bodies, which are used as is otherwise
+   * @param {string=} options.base expected base currency of fetched
+   * rates, also used when the response does not tell (EUR then)
+   * @param {string[]=} options.bases bases to write datasets for
+   * besides the fetched one, cross-computed from fetched rates
+   * @param {import('./anomaly.js').AnomalyDetector=} options.detector
+   * quarantines suspicious rates instead of writing them
+   * @param {Logger=} options.logger
    */
   constructor(options) {
     this.#httpClient = options.httpClient;
     this.#quotes = options.quotes;
+    this.#provider = options.provider;
+    this.#base = options.base;
+    this.#bases = options.bases || [];
+    this.#detector = options.detector;
+    this.#logger = options.logger || new Logger();
   }
 
   /**
+   * @template T
+   *
    * @param {string} url
    * @param {object} options
-   * @param {(quote: string) => string} options.path
-   * @param {(path: string, line: string) => Promise<void>} options.handler
+   * @param {string=} options.date requested `YYYY-MM-DD` date, or
+   * `latest` which is the default
+   * @param {(quote: string, base: string) => string} options.path
+   * @param {(path: string, line: string, io: FileIO) => Promise<T>} options.handler
+   * @param {(Transaction | import('./dryrun.js').MemorySink)=} options.transaction
+   * a memory sink making the run dry
+   * @param {AbortSignal=} options.signal
+   * @param {(progress: Progress) => void=} options.onProgress
+   * @returns {Promise<Record<string, T | 'quarantined'>>} handler
+   * results by path
+   * @throws {WriteError} listing failed quotes
    */
   async run(url, options) {
-    const data = await this.#httpClient.get(url);
-    const lines = dataToLines(data, { quotes: this.#quotes });
+    const data = await this.fetch(url, options.date);
 
-    const tasks = lines.map(([quote, line]) => {
-      const path = options.path(quote);
+    return this.write(data, options);
+  }
+
+  /**
+   * @param {string} url
+   * @param {string=} date
+   * @returns {Promise<import('./providers.js').Rates>}
+   */
+  async fetch(url, date) {
+    if (!this.#provider) {
+      return this.#httpClient.get(url);
+    }
+
+    const body = await this.#get(url);
+
+    return this.#provider.parse(body, date);
+  }
+
+  /**
+   * Fetches a multi-day document from providers serving history in
+   * bulk.
+   *
+   * @param {string} url
+   * @returns {Promise<import('./providers.js').Rates[]>}
+   */
+  async fetchAll(url) {
+    if (!this.#provider || !this.#provider.parseAll) {
+      throw new Error('Provider does not serve multi-day documents');
+    }
+
+    const body = await this.#get(url);
+
+    return this.#provider.parseAll(body);
+  }
+
+  /**
+   * Validates data first, then stages writes in a transaction which is
+   * committed only when every quote succeeded, otherwise every failed
+   * quote is reported at once. Quotes missing from data are left out
+   * and reported as `missing`, so one currency the provider drops does
+   * not hold back the others. Rates the detector finds suspicious are
+   * quarantined instead, with a `quarantined` result. A transaction passed in
+   * options is left for the caller to commit or roll back, so several
+   * runs can share one.
+   *
+   * @template T
+   *
+   * @param {import('./providers.js').Rates} data
+   * @param {object} options
+   * @param {string=} options.date requested date to check data against
+   * @param {(quote: string, base: string) => string} options.path
+   * @param {(path: string, line: string, io: FileIO) => Promise<T>} options.handler
+   * @param {(Transaction | import('./dryrun.js').MemorySink)=} options.transaction
+   * @param {AbortSignal=} options.signal stops writing further quotes,
+   * which then count as failed
+   * @param {(progress: Progress) => void=} options.onProgress
+   * @returns {Promise<Record<string, T | 'quarantined'>>} handler
+   * results by path
+   * @throws {WriteError} listing failed quotes
+   */
+  async write(data, options) {
+    try {
+      assertValidRates(data, {
+        quotes: this.#quotes,
+        date: options.date,
+        base: this.#base,
+        partial: true,
+      });
+    } catch (error) {
+      this.#logger.debug(error.message, {
+        event: 'rates.invalid',
+        date: options.date,
+        problems: error.problems,
+      });
+
+      throw error;
+    }
+
+    const base = data.base || this.#base || 'EUR';
+
+    const bases = [...new Set([base, ...this.#bases])];
+    const quotes = this.#quotes;
+    const targets = [];
+    const paths = [];
+    const lines = [];
+    const missing = [];
+
+    const published = {
+      ...data,
+      rates: Object.fromEntries(
+        Object.entries(data.rates).filter(([, rate]) => {
+          return rate !== null && rate !== undefined;
+        })
+      ),
+    };
+
+    for (const to of bases) {
+      if (to !== base && !published.rates[to]) {
+        missing.push(...quotes.map((quote) => `${to}/${quote}`));
+
+        continue;
+      }
+
+      const rates =
+        to === base
+          ? published
+          : rebase(published, { from: base, to });
+
+      for (const quote of quotes) {
+        if (!Object.hasOwn(rates.rates, quote)) {
+          missing.push(`${to}/${quote}`);
+        }
+      }
 
-      return () => {
-        return options.handler(path, line);
+      for (const [quote, line] of dataToLines(rates, { quotes })) {
+        targets.push({ base: to, quote });
+        paths.push(options.path(quote, to));
+        lines.push(line);
+      }
+    }
+
+    const transaction = options.transaction || new Transaction();
+    const anomalies = [];
+
+    const tasks = lines.map((line, index) => {
+      return async () => {
+        const anomaly = await this.#detector?.check(
+          paths[index],
+          line,
+          transaction,
+          targets[index]
+        );
+
+        if (anomaly) {
+          anomalies.push(anomaly);
+
+          return 'quarantined';
+        }
+
+        return options.handler(paths[index], line, transaction);
       };
     });
 
-    await new Concurrency(tasks).run({ batchSize: 4 });
+    const outcomes = await new Concurrency(tasks).run({
+      batchSize: 4,
+      settled: true,
+      signal: options.signal,
+      onProgress: options.onProgress,
+      logger: this.#logger,
+    });
+
+    const failures = [];
+    const summary = {
+      written: [],
+      unchanged: [],
+      quarantined: [],
+      failed: [],
+      missing,
+    };
+
+    outcomes.forEach((outcome, index) => {
+      const { base, quote } = targets[index];
+      const pair = `${base}/${quote}`;
+
+      if (outcome.status === 'rejected') {
+        failures.push({
+          ...targets[index],
+          path: paths[index],
+          error: outcome.error,
+        });
+
+        summary.failed.push(pair);
+      } else if (
+        outcome.value === 'unchanged' ||
+        outcome.value === 'quarantined'
+      ) {
+        summary[outcome.value].push(pair);
+      } else {
+        summary.written.push(pair);
+      }
+    });
+
+    this.#logger.debug(
+      `Wrote rates for "${data.date}": ${Object.entries(summary)
+        .map(([status, pairs]) => `${pairs.length} ${status}`)
+        .join(', ')}`,
+      { event: 'fetcher.write', date: data.date, ...summary }
+    );
+
+    if (missing.length) {
+      this.#logger.warn(
+        `Left out ${missing.length} quote(s) missing from "${data.date}" rates: ${missing.join(', ')}`
+      );
+    }
+
+    if (failures.length) {
+      if (!options.transaction) {
+        await transaction.rollback();
+      }
+
+      throw new WriteError(failures, { total: outcomes.length });
+    }
+
+    if (anomalies.length) {
+      // appended one by one, they would race each other otherwise
+      await this.#detector.quarantine(anomalies, transaction);
+
+      for (const { base, quote, date, reasons } of anomalies) {
+        this.#logger.warn(
+          `Quarantined "${base}/${quote}" rate for "${date}": ${reasons.join('; ')}`,
+          { event: 'rate.quarantined', base, quote, date, reasons }
+        );
+      }
+    }
+
+    if (!options.transaction) {
+      await transaction.commit();
+    }
+
+    return Object.fromEntries(
+      paths.map((path, index) => [path, outcomes[index].value])
+    );
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<any>}
+   */
+  async #get(url) {
+    return this.#httpClient.get(url, {
+      headers: this.#provider.headers(),
+      type: this.#provider.type,
+    });
   }
 }
@@ -1,8 +1,16 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { readFile, rm } from 'fs/promises';
+import {
+  mkdtemp,
+  readdir,
+  readFile,
+  rm,
+  writeFile,
+} from 'fs/promises';
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { AnomalyDetector } from './anomaly.js';
+import { Logger } from './logger.js';
 import {
   appendLine,
   Concurrency,
@@ -10,7 +18,14 @@ import {
   env,
   Fetcher,
   HttpClient,
+  HttpError,
+  isRetriable,
+  parseRetryAfter,
+  readLines,
+  rebase,
+  upsertLine,
   wait,
+  WriteError,
   writeLine,
 } from './utils.js';
 
@@ -130,6 +145,49 @@ describe('wait function', () => {
   });
 });
 
+describe('parseRetryAfter', () => {
+  it('should parse delay in seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120_000);
+  });
+
+  it('should parse HTTP date relative to now', () => {
+    const now = Date.parse('Mon, 01 Jan 2024 00:00:00 GMT');
+
+    assert.equal(
+      parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now),
+      30_000
+    );
+
+    assert.equal(
+      parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now),
+      0
+    );
+  });
+
+  it('should return undefined for missing or invalid values', () => {
+    assert.equal(parseRetryAfter(null), undefined);
+    assert.equal(parseRetryAfter('soon'), undefined);
+  });
+});
+
+describe('isRetriable', () => {
+  it('should retry server errors, timeouts and rate limits', () => {
+    for (const status of [500, 502, 503, 504, 408, 429]) {
+      assert.equal(isRetriable(new HttpError('', { status })), true);
+    }
+  });
+
+  it('should not retry other client errors', () => {
+    for (const status of [400, 401, 403, 404]) {
+      assert.equal(isRetriable(new HttpError('', { status })), false);
+    }
+  });
+
+  it('should retry network errors', () => {
+    assert.equal(isRetriable(new TypeError('fetch failed')), true);
+  });
+});
+
 describe('HttpClient', () => {
   describe('get', () => {
     let originalFetch;
@@ -172,6 +230,43 @@ describe('HttpClient', () => {
       );
     });
 
+    it('should send request headers', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        json: async () => ({}),
+      }));
+
+      const client = new HttpClient();
+
+      await client.get('https://example.org', {
+        headers: { Authorization: 'Token secret' },
+      });
+
+      const [, options] = global.fetch.mock.calls[0].arguments;
+
+      assert.deepEqual(options.headers, {
+        Authorization: 'Token secret',
+      });
+    });
+
+    it('should return text body when asked to', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        text: async () => '<Cube/>',
+      }));
+
+      const client = new HttpClient();
+      const result = await client.get('https://example.org', {
+        type: 'text',
+      });
+
+      assert.equal(result, '<Cube/>');
+    });
+
     it('should throw error for non-ok response', async () => {
       global.fetch = mock.fn(async () => ({
         ok: false,
@@ -326,6 +421,210 @@ describe('HttpClient', () => {
       );
     });
 
+    it('should fail fast on client errors', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+      }));
+
+      const client = new HttpClient({ retries: 3, backoff: 10 });
+
+      await assert.rejects(client.get('https://example.org'), {
+        message: 'HTTP 401: "Unauthorized" on "https://example.org"',
+        status: 401,
+      });
+
+      assert.equal(global.fetch.mock.calls.length, 1);
+      assert.equal(consoleWarnCalls.length, 0);
+    });
+
+    it('should retry server errors', async () => {
+      let attemptCount = 0;
+
+      global.fetch = mock.fn(async () => {
+        attemptCount++;
+
+        return attemptCount === 1
+          ? { ok: false, status: 502, statusText: 'Bad Gateway' }
+          : {
+              ok: true,
+              status: 200,
+              statusText: 'OK',
+              json: async () => ({ success: true }),
+            };
+      });
+
+      const client = new HttpClient({ retries: 1, backoff: 10 });
+      const result = await client.get('https://example.org');
+
+      assert.deepEqual(result, { success: true });
+      assert.equal(global.fetch.mock.calls.length, 2);
+    });
+
+    it('should back off exponentially up to the max delay', async () => {
+      global.fetch = mock.fn(async () => {
+        throw new Error('Network error');
+      });
+
+      const delays = [];
+
+      mock.method(global, 'setTimeout', (resolve, delay) => {
+        delays.push(delay);
+        resolve();
+      });
+
+      const client = new HttpClient({
+        retries: 4,
+        backoff: 100,
+        factor: 3,
+        maxBackoff: 1000,
+      });
+
+      try {
+        await assert.rejects(
+          client.get('https://example.org'),
+          new Error('Network error')
+        );
+      } finally {
+        global.setTimeout.mock.restore();
+      }
+
+      assert.deepEqual(delays, [100, 300, 900, 1000]);
+    });
+
+    it('should take jitter off the delay', async () => {
+      global.fetch = mock.fn(async () => {
+        throw new Error('Network error');
+      });
+
+      const delays = [];
+
+      mock.method(global, 'setTimeout', (resolve, delay) => {
+        delays.push(delay);
+        resolve();
+      });
+
+      mock.method(Math, 'random', () => 0.5);
+
+      const client = new HttpClient({
+        retries: 2,
+        backoff: 100,
+        jitter: 0.5,
+      });
+
+      try {
+        await assert.rejects(client.get('https://example.org'));
+      } finally {
+        global.setTimeout.mock.restore();
+        Math.random.mock.restore();
+      }
+
+      assert.deepEqual(delays, [75, 150]);
+    });
+
+    it('should honor Retry-After on 429 and 503', async () => {
+      let attemptCount = 0;
+
+      global.fetch = mock.fn(async () => {
+        attemptCount++;
+
+        return attemptCount === 1
+          ? {
+              ok: false,
+              status: 429,
+              statusText: 'Too Many Requests',
+              headers: new Headers({ 'Retry-After': '2' }),
+            }
+          : {
+              ok: true,
+              status: 200,
+              statusText: 'OK',
+              json: async () => ({ success: true }),
+            };
+      });
+
+      const delays = [];
+
+      mock.method(global, 'setTimeout', (resolve, delay) => {
+        delays.push(delay);
+        resolve();
+      });
+
+      const client = new HttpClient({ retries: 1, backoff: 10 });
+
+      try {
+        await client.get('https://example.org');
+      } finally {
+        global.setTimeout.mock.restore();
+      }
+
+      assert.deepEqual(delays, [2000]);
+    });
+
+    it('should give up when Retry-After exceeds max delay', async () => {
+      global.fetch = mock.fn(async () => ({
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: new Headers({ 'Retry-After': '3600' }),
+      }));
+
+      const client = new HttpClient({
+        retries: 3,
+        backoff: 10,
+        maxBackoff: 60_000,
+      });
+
+      await assert.rejects(client.get('https://example.org'), {
+        status: 503,
+        retryAfter: 3_600_000,
+      });
+
+      assert.equal(global.fetch.mock.calls.length, 1);
+    });
+
+    it('should consult quota ledger and rate limiter on every attempt', async () => {
+      global.fetch = mock.fn(async () => {
+        throw new Error('Network error');
+      });
+
+      const limiter = { take: mock.fn(async () => {}) };
+      const ledger = { reserve: mock.fn(async () => {}) };
+
+      const client = new HttpClient({
+        retries: 1,
+        backoff: 10,
+        limiter,
+        ledger,
+      });
+
+      await assert.rejects(client.get('https://example.org'));
+
+      assert.equal(limiter.take.mock.calls.length, 2);
+      assert.equal(ledger.reserve.mock.calls.length, 2);
+    });
+
+    it('should not retry requests refused by quota', async () => {
+      global.fetch = mock.fn();
+
+      const ledger = {
+        reserve: mock.fn(async () => {
+          throw new Error('Request quota is used up');
+        }),
+      };
+
+      const client = new HttpClient({ retries: 3, ledger });
+
+      await assert.rejects(
+        client.get('https://example.org'),
+        new Error('Request quota is used up')
+      );
+
+      assert.equal(ledger.reserve.mock.calls.length, 1);
+      assert.equal(global.fetch.mock.calls.length, 0);
+    });
+
     it('should work with zero retries', async () => {
       global.fetch = mock.fn(async () => {
         throw new Error('Network error');
@@ -342,6 +641,54 @@ describe('HttpClient', () => {
       assert.equal(consoleWarnCalls.length, 0);
     });
   });
+
+  it('should log requests with credentials redacted', async () => {
+    const entries = [];
+    const logger = new Logger();
+
+    logger.listen((entry) => entries.push(entry));
+
+    const responses = [
+      {
+        ok: false,
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: { get: () => null },
+      },
+      { ok: true, status: 200, json: async () => ({}) },
+    ];
+
+    const client = new HttpClient({
+      retries: 1,
+      backoff: 1,
+      fetch: async () => responses.shift(),
+      logger,
+    });
+
+    mock.method(console, 'warn', () => {});
+
+    try {
+      await client.get('https://example.org/api?access_key=secret');
+    } finally {
+      console.warn.mock.restore();
+    }
+
+    assert.deepEqual(
+      entries.map(({ level, event }) => [level, event]),
+      [
+        ['warn', 'http.retry'],
+        ['debug', 'http.request'],
+      ]
+    );
+
+    assert.equal(
+      entries[1].url,
+      'https://example.org/api?access_key=REDACTED'
+    );
+    assert.equal(entries[1].attempts, 2);
+    assert.equal(entries[1].status, 200);
+    assert.ok(entries[1].durationMs >= 0);
+  });
 });
 
 describe('dataToLines', () => {
@@ -366,6 +713,16 @@ describe('dataToLines', () => {
     ]);
   });
 
+  it('should flag carried forward rates', () => {
+    assert.deepEqual(
+      dataToLines(
+        { date: '2024-03-29', rates: { USD: 1.1 }, carried: true },
+        { quotes: ['USD'] }
+      ),
+      [['USD', '2024-03-29,1.1,carried']]
+    );
+  });
+
   it('should handle empty rates', () => {
     const data = {
       date: '2024-01-01',
@@ -385,6 +742,17 @@ describe('dataToLines', () => {
     ]);
   });
 
+  it('should keep zero rates', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { USD: 0 },
+    };
+
+    const result = dataToLines(data, { quotes: ['USD'] });
+
+    assert.deepEqual(result, [['USD', '2024-01-01,0']]);
+  });
+
   it('should return empty array when no quotes match', () => {
     const data = {
       date: '2024-01-01',
@@ -402,6 +770,67 @@ describe('dataToLines', () => {
   });
 });
 
+describe('rebase', () => {
+  it('should cross-compute rates against the new base', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { EUR: 1, USD: 1.25, GBP: 0.8 },
+    };
+
+    const result = rebase(data, { from: 'EUR', to: 'USD' });
+
+    assert.deepEqual(result, {
+      date: '2024-01-01',
+      rates: { EUR: 0.8, USD: 1, GBP: 0.64 },
+    });
+  });
+
+  it('should add the original base when it is not in rates', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { USD: 1.25 },
+    };
+
+    const result = rebase(data, { from: 'EUR', to: 'USD' });
+
+    assert.deepEqual(result.rates, { USD: 1, EUR: 0.8 });
+  });
+
+  it('should round away floating point noise', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { USD: 1.1, JPY: 161.3 },
+    };
+
+    const result = rebase(data, { from: 'EUR', to: 'USD' });
+
+    assert.equal(result.rates.JPY, 146.6363636);
+  });
+
+  it('should keep empty rates empty', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { USD: 1.25, VES: null },
+    };
+
+    const result = rebase(data, { from: 'EUR', to: 'USD' });
+
+    assert.equal(result.rates.VES, null);
+  });
+
+  it('should throw when the new base has no rate', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { USD: 1.25, GBP: null },
+    };
+
+    assert.throws(
+      () => rebase(data, { from: 'EUR', to: 'GBP' }),
+      new Error('No "GBP" rate to rebase "2024-01-01" rates on')
+    );
+  });
+});
+
 describe('Concurrency', () => {
   it('should execute all promises and return results in order', async () => {
     const promises = [
@@ -477,44 +906,173 @@ describe('Concurrency', () => {
       new Error('Failed')
     );
   });
-});
 
-describe('writeLine', () => {
-  let tempFile;
+  it('should not start new tasks after a failure', async () => {
+    const last = mock.fn(() => Promise.resolve(3));
 
-  beforeEach(() => {
-    tempFile = join(
-      tmpdir(),
-      `temp-${Date.now()}-${Math.random()}.csv`
+    const promises = [
+      () => Promise.reject(new Error('Failed')),
+      () => wait(10).then(() => 2),
+      last,
+    ];
+
+    const concurrency = new Concurrency(promises);
+
+    await assert.rejects(
+      concurrency.run({ batchSize: 2 }),
+      new Error('Failed')
     );
-  });
 
-  afterEach(async () => {
-    try {
-      await rm(tempFile, { force: true });
-    } catch {}
+    assert.equal(last.mock.calls.length, 0);
   });
 
-  it('should write line with newline to file', async () => {
-    await writeLine(tempFile, 'test line');
+  it('should return every outcome when settled', async () => {
+    const promises = [
+      () => Promise.resolve(1),
+      () => Promise.reject(new Error('Failed')),
+      () => Promise.resolve(3),
+    ];
 
-    const content = await readFile(tempFile, 'utf-8');
-    assert.equal(content, 'test line\n');
+    const concurrency = new Concurrency(promises);
+    const results = await concurrency.run({
+      batchSize: 2,
+      settled: true,
+    });
+
+    assert.deepEqual(results, [
+      { status: 'fulfilled', value: 1 },
+      { status: 'rejected', error: new Error('Failed') },
+      { status: 'fulfilled', value: 3 },
+    ]);
   });
 
-  it('should overwrite existing file', async () => {
-    await writeLine(tempFile, 'first line');
-    await writeLine(tempFile, 'second line');
+  it('should stop scheduling once aborted', async () => {
+    const controller = new AbortController();
 
-    const content = await readFile(tempFile, 'utf-8');
-    assert.equal(content, 'second line\n');
-  });
-});
+    const promises = [
+      async () => {
+        controller.abort(new Error('Cancelled'));
 
-describe('appendLine', () => {
-  let tempFile;
+        return 1;
+      },
+      () => Promise.resolve(2),
+    ];
 
-  beforeEach(() => {
+    const concurrency = new Concurrency(promises);
+    const results = await concurrency.run({
+      batchSize: 1,
+      settled: true,
+      signal: controller.signal,
+    });
+
+    assert.deepEqual(results, [
+      { status: 'fulfilled', value: 1 },
+      { status: 'rejected', error: new Error('Cancelled') },
+    ]);
+
+    await assert.rejects(
+      concurrency.run({ batchSize: 1, signal: controller.signal }),
+      new Error('Cancelled')
+    );
+  });
+
+  it('should pass the signal on to tasks', async () => {
+    const controller = new AbortController();
+    const task = mock.fn(() => Promise.resolve());
+
+    await new Concurrency([task]).run({
+      batchSize: 1,
+      signal: controller.signal,
+    });
+
+    assert.equal(task.mock.calls[0].arguments[0], controller.signal);
+  });
+
+  it('should time out slow tasks', async () => {
+    let taskSignal;
+
+    const promises = [
+      (signal) => {
+        taskSignal = signal;
+
+        return new Promise(() => {});
+      },
+      () => Promise.resolve(2),
+    ];
+
+    const concurrency = new Concurrency(promises);
+    const [timedOut, fulfilled] = await concurrency.run({
+      batchSize: 2,
+      settled: true,
+      timeout: 20,
+    });
+
+    assert.equal(timedOut.status, 'rejected');
+    assert.equal(timedOut.error.name, 'TimeoutError');
+    assert(taskSignal.aborted, 'Task should be told to stop');
+    assert.deepEqual(fulfilled, { status: 'fulfilled', value: 2 });
+  });
+
+  it('should report progress', async () => {
+    const onProgress = mock.fn();
+
+    const promises = [
+      () => Promise.resolve(1),
+      () => Promise.reject(new Error('Failed')),
+    ];
+
+    await new Concurrency(promises).run({
+      batchSize: 1,
+      settled: true,
+      onProgress,
+    });
+
+    assert.deepEqual(
+      onProgress.mock.calls.map((call) => call.arguments[0]),
+      [
+        { done: 1, failed: 0, total: 2 },
+        { done: 2, failed: 1, total: 2 },
+      ]
+    );
+  });
+});
+
+describe('writeLine', () => {
+  let tempFile;
+
+  beforeEach(() => {
+    tempFile = join(
+      tmpdir(),
+      `temp-${Date.now()}-${Math.random()}.csv`
+    );
+  });
+
+  afterEach(async () => {
+    try {
+      await rm(tempFile, { force: true });
+    } catch {}
+  });
+
+  it('should write line with newline to file', async () => {
+    await writeLine(tempFile, 'test line');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(content, 'test line\n');
+  });
+
+  it('should overwrite existing file', async () => {
+    await writeLine(tempFile, 'first line');
+    await writeLine(tempFile, 'second line');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(content, 'second line\n');
+  });
+});
+
+describe('appendLine', () => {
+  let tempFile;
+
+  beforeEach(() => {
     tempFile = join(
       tmpdir(),
       `temp-${Date.now()}-${Math.random()}.csv`
@@ -543,6 +1101,105 @@ describe('appendLine', () => {
   });
 });
 
+describe('readLines', () => {
+  let tempFile;
+
+  beforeEach(() => {
+    tempFile = join(
+      tmpdir(),
+      `temp-${Date.now()}-${Math.random()}.csv`
+    );
+  });
+
+  afterEach(async () => {
+    try {
+      await rm(tempFile, { force: true });
+    } catch {}
+  });
+
+  it('should return non-empty lines of a file', async () => {
+    await writeLine(tempFile, 'first line\nsecond line\n');
+
+    assert.deepEqual(await readLines(tempFile), [
+      'first line',
+      'second line',
+    ]);
+  });
+
+  it('should return empty array for missing file', async () => {
+    assert.deepEqual(await readLines(tempFile), []);
+  });
+});
+
+describe('upsertLine', () => {
+  let tempFile;
+
+  beforeEach(() => {
+    tempFile = join(
+      tmpdir(),
+      `temp-${Date.now()}-${Math.random()}.csv`
+    );
+  });
+
+  afterEach(async () => {
+    try {
+      await rm(tempFile, { force: true });
+    } catch {}
+  });
+
+  it('should create file if it does not exist', async () => {
+    const status = await upsertLine(tempFile, '2024-01-02,1.1');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(content, '2024-01-02,1.1\n');
+    assert.equal(status, 'inserted');
+  });
+
+  it('should insert lines in date order', async () => {
+    await writeLine(tempFile, '2024-01-01,1.1\n2024-01-03,1.3');
+    await upsertLine(tempFile, '2024-01-02,1.2');
+    await upsertLine(tempFile, '2023-12-31,1.0');
+    await upsertLine(tempFile, '2024-01-04,1.4');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(
+      content,
+      '2023-12-31,1.0\n2024-01-01,1.1\n2024-01-02,1.2\n' +
+        '2024-01-03,1.3\n2024-01-04,1.4\n'
+    );
+  });
+
+  it('should replace existing line for the same date', async () => {
+    await writeLine(tempFile, '2024-01-01,1.1\n2024-01-02,1.2');
+
+    const status = await upsertLine(tempFile, '2024-01-01,9.9');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(content, '2024-01-01,9.9\n2024-01-02,1.2\n');
+    assert.equal(status, 'updated');
+  });
+
+  it('should collapse duplicate lines for the same date', async () => {
+    await writeLine(tempFile, '2024-01-01,1.1\n2024-01-01,1.1');
+
+    const status = await upsertLine(tempFile, '2024-01-01,1.1');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(content, '2024-01-01,1.1\n');
+    assert.equal(status, 'updated');
+  });
+
+  it('should report unchanged line', async () => {
+    await writeLine(tempFile, '2024-01-01,1.1');
+
+    const status = await upsertLine(tempFile, '2024-01-01,1.1');
+
+    const content = await readFile(tempFile, 'utf-8');
+    assert.equal(content, '2024-01-01,1.1\n');
+    assert.equal(status, 'unchanged');
+  });
+});
+
 describe('Fetcher', () => {
   let httpClient;
   let fetcher;
@@ -589,12 +1246,473 @@ describe('Fetcher', () => {
     assert.equal(pathMock.mock.calls.length, 2);
     assert.equal(handlerMock.mock.calls.length, 2);
 
-    const calls = handlerMock.mock.calls.map((call) => call.arguments);
+    const calls = handlerMock.mock.calls.map((call) =>
+      call.arguments.slice(0, 2)
+    );
 
     assert.deepEqual(calls[0], ['/path/EUR.txt', '2024-01-01,0.85']);
     assert.deepEqual(calls[1], ['/path/USD.txt', '2024-01-01,1.2']);
   });
 
+  it('should return handler results by path', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        date: '2024-01-01',
+        rates: { USD: 1.2, EUR: 0.85 },
+      })
+    );
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'EUR'],
+    });
+
+    const results = await fetcher.run('http://example.org', {
+      path: (quote) => `/path/${quote}.csv`,
+      handler: (path) =>
+        Promise.resolve(
+          path.includes('USD') ? 'updated' : 'inserted'
+        ),
+    });
+
+    assert.deepEqual(results, {
+      '/path/EUR.csv': 'inserted',
+      '/path/USD.csv': 'updated',
+    });
+  });
+
+  it('should derive datasets for additional bases', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        date: '2024-01-01',
+        rates: { EUR: 1, USD: 1.25, GBP: 0.8 },
+      })
+    );
+
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['EUR', 'USD', 'GBP'],
+      base: 'EUR',
+      bases: ['USD'],
+    });
+
+    await fetcher.run('http://example.org', {
+      path: (quote, base) => `/${base}/${quote}.csv`,
+      handler: handlerMock,
+    });
+
+    assert.equal(httpClient.get.mock.calls.length, 1);
+
+    const calls = handlerMock.mock.calls.map((call) =>
+      call.arguments.slice(0, 2)
+    );
+
+    assert.deepEqual(calls, [
+      ['/EUR/EUR.csv', '2024-01-01,1'],
+      ['/EUR/GBP.csv', '2024-01-01,0.8'],
+      ['/EUR/USD.csv', '2024-01-01,1.25'],
+      ['/USD/EUR.csv', '2024-01-01,0.8'],
+      ['/USD/GBP.csv', '2024-01-01,0.64'],
+      ['/USD/USD.csv', '2024-01-01,1'],
+    ]);
+  });
+
+  it('should leave out and report missing quotes', async () => {
+    const entries = [];
+    const logger = new Logger({
+      level: 'error',
+      listeners: [(entry) => entries.push(entry)],
+    });
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['EUR', 'USD', 'GBP', 'CHF'],
+      base: 'EUR',
+      bases: ['USD', 'GBP'],
+      logger,
+    });
+
+    const results = await fetcher.write(
+      { date: '2024-01-01', rates: { EUR: 1, GBP: 0.8, CHF: null } },
+      {
+        path: (quote, base) => `/${base}/${quote}.csv`,
+        handler: async () => 'inserted',
+      }
+    );
+
+    assert.deepEqual(Object.keys(results), [
+      '/EUR/EUR.csv',
+      '/EUR/GBP.csv',
+      '/GBP/EUR.csv',
+      '/GBP/GBP.csv',
+    ]);
+
+    const entry = entries.find(
+      ({ event }) => event === 'fetcher.write'
+    );
+
+    assert.deepEqual(entry.missing, [
+      'EUR/USD',
+      'EUR/CHF',
+      'USD/EUR',
+      'USD/USD',
+      'USD/GBP',
+      'USD/CHF',
+      'GBP/USD',
+      'GBP/CHF',
+    ]);
+    assert.ok(
+      entries.some(({ level, message }) => {
+        return level === 'warn' && message.includes('8 quote(s)');
+      })
+    );
+  });
+
+  it('should normalize response with provider', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        timestamp: 1704153599,
+        base: 'USD',
+        rates: { USD: 1, EUR: 0.8 },
+      })
+    );
+
+    const provider = {
+      type: 'json',
+      headers: () => ({ Authorization: 'Token secret' }),
+      parse: (body) => ({
+        base: body.base,
+        date: '2024-01-01',
+        rates: body.rates,
+      }),
+    };
+
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['EUR', 'USD'],
+      provider,
+      bases: ['EUR'],
+    });
+
+    await fetcher.run('http://example.org', {
+      path: (quote, base) => `/${base}/${quote}.csv`,
+      handler: handlerMock,
+    });
+
+    assert.deepEqual(httpClient.get.mock.calls[0].arguments[1], {
+      headers: { Authorization: 'Token secret' },
+      type: 'json',
+    });
+
+    const calls = handlerMock.mock.calls.map((call) =>
+      call.arguments.slice(0, 2)
+    );
+
+    assert.deepEqual(calls, [
+      ['/USD/EUR.csv', '2024-01-01,0.8'],
+      ['/USD/USD.csv', '2024-01-01,1'],
+      ['/EUR/EUR.csv', '2024-01-01,1'],
+      ['/EUR/USD.csv', '2024-01-01,1.25'],
+    ]);
+  });
+
+  it('should pass requested date to provider', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve('<document/>')
+    );
+
+    const provider = {
+      type: 'text',
+      headers: () => ({}),
+      parse: mock.fn((body, date) => ({
+        base: 'EUR',
+        date,
+        rates: { USD: 1.1 },
+      })),
+    };
+
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+      provider,
+    });
+
+    await fetcher.run('http://example.org', {
+      date: '2024-01-04',
+      path: (quote, base) => `/${base}/${quote}.csv`,
+      handler: handlerMock,
+    });
+
+    assert.deepEqual(provider.parse.mock.calls[0].arguments, [
+      '<document/>',
+      '2024-01-04',
+    ]);
+
+    assert.deepEqual(
+      handlerMock.mock.calls[0].arguments.slice(0, 2),
+      ['/EUR/USD.csv', '2024-01-04,1.1']
+    );
+  });
+
+  it('should fetch multi-day documents', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve('<document/>')
+    );
+
+    const days = [
+      { base: 'EUR', date: '2024-01-05', rates: { USD: 1.0921 } },
+      { base: 'EUR', date: '2024-01-04', rates: { USD: 1.0953 } },
+    ];
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+      provider: {
+        type: 'text',
+        headers: () => ({}),
+        parseAll: () => days,
+      },
+    });
+
+    assert.deepEqual(
+      await fetcher.fetchAll('http://example.org'),
+      days
+    );
+  });
+
+  it('should refuse multi-day documents without provider support', async () => {
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+    });
+
+    await assert.rejects(
+      fetcher.fetchAll('http://example.org'),
+      new Error('Provider does not serve multi-day documents')
+    );
+  });
+
+  it('should reject invalid data before calling handlers', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        date: '2024-01-02',
+        rates: { USD: 1.2, GBP: null },
+      })
+    );
+
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'GBP'],
+    });
+
+    await assert.rejects(
+      fetcher.run('http://example.org', {
+        date: '2024-01-01',
+        path: (quote) => `/path/${quote}.csv`,
+        handler: handlerMock,
+      }),
+      {
+        name: 'ValidationError',
+        problems: [
+          {
+            field: 'date',
+            message: 'must be "2024-01-01", got "2024-01-02"',
+          },
+        ],
+      }
+    );
+
+    assert.equal(handlerMock.mock.calls.length, 0);
+  });
+
+  it('should commit all files when every handler succeeds', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'fetcher-'));
+
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        date: '2024-01-01',
+        rates: { USD: 1.2, GBP: 0.85 },
+      })
+    );
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'GBP'],
+    });
+
+    try {
+      await fetcher.run('http://example.org', {
+        path: (quote) => join(dir, `${quote}.csv`),
+        handler: upsertLine,
+      });
+
+      assert.deepEqual((await readdir(dir)).sort(), [
+        'GBP.csv',
+        'USD.csv',
+      ]);
+
+      assert.equal(
+        await readFile(join(dir, 'USD.csv'), 'utf-8'),
+        '2024-01-01,1.2\n'
+      );
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should quarantine suspicious rates', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'fetcher-'));
+    const quarantinePath = join(dir, 'quarantine.ndjson');
+
+    await writeFile(join(dir, 'USD.csv'), '2023-12-31,1.1\n');
+    await writeFile(join(dir, 'GBP.csv'), '2023-12-31,0.86\n');
+
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        date: '2024-01-01',
+        rates: { USD: 110, GBP: 0.87 },
+      })
+    );
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'GBP'],
+      detector: new AnomalyDetector({ quarantinePath }),
+    });
+
+    mock.method(console, 'warn', () => {});
+
+    try {
+      const results = await fetcher.run('http://example.org', {
+        path: (quote) => join(dir, `${quote}.csv`),
+        handler: upsertLine,
+      });
+
+      assert.deepEqual(results, {
+        [join(dir, 'USD.csv')]: 'quarantined',
+        [join(dir, 'GBP.csv')]: 'inserted',
+      });
+
+      assert.equal(
+        await readFile(join(dir, 'USD.csv'), 'utf-8'),
+        '2023-12-31,1.1\n'
+      );
+
+      assert.equal(
+        await readFile(join(dir, 'GBP.csv'), 'utf-8'),
+        '2023-12-31,0.86\n2024-01-01,0.87\n'
+      );
+
+      const [anomaly] = (await readFile(quarantinePath, 'utf-8'))
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+
+      assert.equal(anomaly.quote, 'USD');
+      assert.equal(anomaly.rate, 110);
+
+      assert.equal(
+        console.warn.mock.calls[0].arguments[0],
+        'Quarantined "EUR/USD" rate for "2024-01-01": jumped 9900% from 1.1, over 10%'
+      );
+    } finally {
+      console.warn.mock.restore();
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should leave files untouched when a handler fails', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'fetcher-'));
+    await writeFile(join(dir, 'GBP.csv'), '2023-12-31,0.8\n');
+
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({
+        date: '2024-01-01',
+        rates: { USD: 1.2, GBP: 0.85, JPY: 150 },
+      })
+    );
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'GBP', 'JPY'],
+    });
+
+    try {
+      await assert.rejects(
+        fetcher.run('http://example.org', {
+          path: (quote) => join(dir, `${quote}.csv`),
+          handler: (path, line, io) => {
+            return path.endsWith('USD.csv')
+              ? Promise.reject(new Error('Disk error'))
+              : upsertLine(path, line, io);
+          },
+        }),
+        (error) => {
+          assert(error instanceof WriteError);
+          assert.equal(
+            error.message,
+            'Failed to write 1 of 3 quote(s):\n  EUR/USD: Disk error'
+          );
+          assert.deepEqual(error.failures, [
+            {
+              base: 'EUR',
+              quote: 'USD',
+              path: join(dir, 'USD.csv'),
+              error: new Error('Disk error'),
+            },
+          ]);
+
+          return true;
+        }
+      );
+
+      assert.deepEqual(await readdir(dir), ['GBP.csv']);
+
+      assert.equal(
+        await readFile(join(dir, 'GBP.csv'), 'utf-8'),
+        '2023-12-31,0.8\n'
+      );
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should leave shared transaction to the caller', async () => {
+    httpClient.get.mock.mockImplementation(() =>
+      Promise.resolve({ date: '2024-01-01', rates: { USD: 1.2 } })
+    );
+
+    const transaction = {
+      commit: mock.fn(),
+      rollback: mock.fn(),
+    };
+
+    const handlerMock = mock.fn(() => Promise.resolve());
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD'],
+    });
+
+    await fetcher.run('http://example.org', {
+      path: (quote) => `/path/${quote}.csv`,
+      handler: handlerMock,
+      transaction,
+    });
+
+    assert.equal(handlerMock.mock.calls[0].arguments[2], transaction);
+    assert.equal(transaction.commit.mock.calls.length, 0);
+    assert.equal(transaction.rollback.mock.calls.length, 0);
+  });
+
   it('should handle empty quotes', async () => {
     const mockData = {
       date: '2024-01-01',
@@ -643,4 +1761,66 @@ describe('Fetcher', () => {
       new Error('Network error')
     );
   });
+
+  it('should log write outcomes', async () => {
+    const entries = [];
+    const logger = new Logger();
+
+    logger.listen((entry) => entries.push(entry));
+
+    fetcher = new Fetcher({
+      httpClient,
+      quotes: ['USD', 'GBP', 'JPY'],
+      logger,
+    });
+
+    const results = {
+      USD: async () => 'inserted',
+      GBP: async () => 'unchanged',
+      JPY: async () => {
+        throw new Error('Disk full');
+      },
+    };
+
+    await assert.rejects(
+      fetcher.write(
+        {
+          date: '2024-01-01',
+          rates: { USD: 1.1, GBP: 0.86, JPY: 160 },
+        },
+        {
+          path: (quote) => quote,
+          handler: (path) => results[path](),
+        }
+      ),
+      { name: 'WriteError' }
+    );
+
+    const entry = entries.find(
+      ({ event }) => event === 'fetcher.write'
+    );
+
+    assert.deepEqual(
+      {
+        date: entry.date,
+        written: entry.written,
+        unchanged: entry.unchanged,
+        quarantined: entry.quarantined,
+        failed: entry.failed,
+      },
+      {
+        date: '2024-01-01',
+        written: ['EUR/USD'],
+        unchanged: ['EUR/GBP'],
+        quarantined: [],
+        failed: ['EUR/JPY'],
+      }
+    );
+
+    assert.ok(
+      entries.some(
+        ({ event, index }) => event === 'task.failed' && index === 1
+      )
+    );
+  });
 });
@@ -0,0 +1,126 @@
+import { isDate } from './dates.js';
+
+/**
+ * @typedef {object} Problem
+ * @property {string} field e.g. `date` or `rates.USD`
+ * @property {string} message
+ */
+
+export class ValidationError extends Error {
+  /**
+   * @type {Problem[]}
+   */
+  problems;
+
+  /**
+   * @param {Problem[]} problems
+   */
+  constructor(problems) {
+    const list = problems
+      .map((problem) => `  ${problem.field}: ${problem.message}`)
+      .join('\n');
+
+    super(`Invalid rates, ${problems.length} problem(s):\n${list}`);
+
+    this.name = 'ValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const describe = (value) => {
+  return typeof value === 'number'
+    ? String(value)
+    : JSON.stringify(value);
+};
+
+/**
+ * Checks normalized provider data before anything gets written.
+ *
+ * @param {any} data
+ * @param {object} options
+ * @param {string[]} options.quotes rates that have to be present
+ * @param {boolean=} options.partial lets rates of `quotes` be missing,
+ * for callers leaving them out
+ * @param {string=} options.date requested date, `latest` or none
+ * skips the match
+ * @param {string=} options.base expected base currency
+ * @returns {Problem[]}
+ */
+export const validateRates = (data, options) => {
+  const problems = [];
+
+  const report = (field, message) => {
+    problems.push({ field, message });
+  };
+
+  if (!data || typeof data !== 'object') {
+    report('data', `must be an object, got ${describe(data)}`);
+
+    return problems;
+  }
+
+  if (!isDate(data.date)) {
+    report('date', `must be a YYYY-MM-DD date, got "${data.date}"`);
+  } else if (
+    options.date &&
+    options.date !== 'latest' &&
+    data.date !== options.date
+  ) {
+    report('date', `must be "${options.date}", got "${data.date}"`);
+  }
+
+  if (data.base !== undefined && !/^[A-Z]{3}$/.test(data.base)) {
+    report('base', `must be a currency code, got "${data.base}"`);
+  } else if (
+    options.base &&
+    data.base !== undefined &&
+    data.base !== options.base
+  ) {
+    report('base', `must be "${options.base}", got "${data.base}"`);
+  }
+
+  if (!data.rates || typeof data.rates !== 'object') {
+    report('rates', 'must be an object');
+
+    return problems;
+  }
+
+  for (const quote of options.quotes) {
+    const rate = data.rates[quote];
+
+    if (rate === undefined || rate === null) {
+      if (!options.partial) {
+        report(`rates.${quote}`, 'is missing');
+      }
+    } else if (
+      typeof rate !== 'number' ||
+      !Number.isFinite(rate) ||
+      rate <= 0
+    ) {
+      report(
+        `rates.${quote}`,
+        `must be a positive number, got ${describe(rate)}`
+      );
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * @param {any} data
+ * @param {Parameters<typeof validateRates>[1]} options
+ * @returns {void}
+ * @throws {ValidationError}
+ */
+export const assertValidRates = (data, options) => {
+  const problems = validateRates(data, options);
+
+  if (problems.length) {
+    throw new ValidationError(problems);
+  }
+};
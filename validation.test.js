@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertValidRates,
+  validateRates,
+  ValidationError,
+} from './validation.js';
+
+describe('validateRates', () => {
+  const options = {
+    quotes: ['GBP', 'USD'],
+    date: '2024-01-01',
+    base: 'EUR',
+  };
+
+  it('should accept valid data', () => {
+    const data = {
+      base: 'EUR',
+      date: '2024-01-01',
+      rates: { GBP: 0.86, USD: 1.1, JPY: 155 },
+    };
+
+    assert.deepEqual(validateRates(data, options), []);
+  });
+
+  it('should report non-object data', () => {
+    assert.deepEqual(validateRates(null, options), [
+      { field: 'data', message: 'must be an object, got null' },
+    ]);
+  });
+
+  it('should report malformed and mismatching dates', () => {
+    const rates = { GBP: 0.86, USD: 1.1 };
+
+    assert.deepEqual(
+      validateRates({ date: '01/01/2024', rates }, options),
+      [
+        {
+          field: 'date',
+          message: 'must be a YYYY-MM-DD date, got "01/01/2024"',
+        },
+      ]
+    );
+
+    assert.deepEqual(
+      validateRates({ date: '2023-12-29', rates }, options),
+      [
+        {
+          field: 'date',
+          message: 'must be "2024-01-01", got "2023-12-29"',
+        },
+      ]
+    );
+  });
+
+  it('should not match date of latest rates', () => {
+    const data = {
+      date: '2023-12-29',
+      rates: { GBP: 0.86, USD: 1.1 },
+    };
+
+    assert.deepEqual(
+      validateRates(data, { ...options, date: 'latest' }),
+      []
+    );
+  });
+
+  it('should report unexpected base', () => {
+    const data = {
+      base: 'USD',
+      date: '2024-01-01',
+      rates: { GBP: 0.78, USD: 1 },
+    };
+
+    assert.deepEqual(validateRates(data, options), [
+      { field: 'base', message: 'must be "EUR", got "USD"' },
+    ]);
+  });
+
+  it('should report missing rates object', () => {
+    const data = { date: '2024-01-01' };
+
+    assert.deepEqual(validateRates(data, options), [
+      { field: 'rates', message: 'must be an object' },
+    ]);
+  });
+
+  it('should report every missing and invalid rate', () => {
+    const data = {
+      date: '2024-01-01',
+      rates: { GBP: 0, USD: '1.1', JPY: -1 },
+    };
+
+    assert.deepEqual(
+      validateRates(data, { quotes: ['GBP', 'USD', 'JPY', 'CHF'] }),
+      [
+        {
+          field: 'rates.GBP',
+          message: 'must be a positive number, got 0',
+        },
+        {
+          field: 'rates.USD',
+          message: 'must be a positive number, got "1.1"',
+        },
+        {
+          field: 'rates.JPY',
+          message: 'must be a positive number, got -1',
+        },
+        { field: 'rates.CHF', message: 'is missing' },
+      ]
+    );
+  });
+
+  it('should let rates be missing from partial data', () => {
+    const data = { date: '2024-01-01', rates: { GBP: 0, USD: null } };
+
+    assert.deepEqual(
+      validateRates(data, {
+        quotes: ['GBP', 'USD', 'CHF'],
+        partial: true,
+      }),
+      [
+        {
+          field: 'rates.GBP',
+          message: 'must be a positive number, got 0',
+        },
+      ]
+    );
+  });
+});
+
+describe('assertValidRates', () => {
+  it('should throw ValidationError listing every problem', () => {
+    const data = { date: '2024-13-01', rates: { USD: NaN } };
+
+    assert.throws(
+      () => assertValidRates(data, { quotes: ['GBP', 'USD'] }),
+      (error) => {
+        assert(error instanceof ValidationError);
+        assert.equal(error.problems.length, 3);
+        assert.equal(
+          error.message,
+          'Invalid rates, 3 problem(s):\n' +
+            '  date: must be a YYYY-MM-DD date, got "2024-13-01"\n' +
+            '  rates.GBP: is missing\n' +
+            '  rates.USD: must be a positive number, got NaN'
+        );
+
+        return true;
+      }
+    );
+  });
+
+  it('should not throw for valid data', () => {
+    const data = { date: '2024-01-01', rates: { USD: 1.1 } };
+
+    assert.doesNotThrow(() => {
+      assertValidRates(data, { quotes: ['USD'] });
+    });
+  });
+});
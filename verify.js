@@ -0,0 +1,237 @@
+import { join } from 'path';
+import { addDays, isDate, isPublicationDay } from './dates.js';
+import { fileSystem, listDirectory } from './utils.js';
+
+/**
+ * @typedef {object} Issue
+ * @property {'error' | 'warning'} severity
+ * @property {string} code e.g. `duplicate-date`
+ * @property {string} path
+ * @property {number=} line 1-based line number
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} Report
+ * @property {boolean} ok whether no errors were found
+ * @property {number} files
+ * @property {number} errors
+ * @property {number} warnings
+ * @property {Issue[]} issues
+ */
+
+/**
+ * Checks one dataset, `latest` ones being expected to hold a single row.
+ *
+ * @param {string} path
+ * @param {string} content
+ * @param {object} options
+ * @param {boolean} options.latest
+ * @param {string[]=} options.holidays days not to expect rates on
+ * besides weekends, see `isPublicationDay`
+ * @returns {Issue[]}
+ */
+export const verifyDataset = (path, content, options) => {
+  const issues = [];
+
+  /**
+   * @param {Issue['severity']} severity
+   * @param {string} code
+   * @param {string} message
+   * @param {number=} line
+   */
+  const report = (severity, code, message, line) => {
+    issues.push({
+      severity,
+      code,
+      path,
+      ...(line && { line }),
+      message,
+    });
+  };
+
+  const lines = content.split('\n');
+
+  if (lines.at(-1) === '') {
+    lines.pop();
+  }
+
+  if (!lines.length) {
+    report('warning', 'empty-file', 'has no rows');
+
+    return issues;
+  }
+
+  const dates = [];
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const [date, rate, ...rest] = text.split(',');
+
+    if (
+      !isDate(date) ||
+      rate === undefined ||
+      (rest.length && rest.join(',') !== 'carried')
+    ) {
+      report(
+        'error',
+        'malformed-line',
+        `expected a "date,rate" row, got "${text}"`,
+        line
+      );
+
+      return;
+    }
+
+    if (rate === '') {
+      report(
+        'warning',
+        'empty-rate',
+        `has no rate for "${date}"`,
+        line
+      );
+    } else if (!(Number(rate) > 0)) {
+      report(
+        'error',
+        'malformed-line',
+        `expected a positive rate, got "${rate}"`,
+        line
+      );
+    }
+
+    const previous = dates.at(-1);
+
+    if (dates.includes(date)) {
+      report('error', 'duplicate-date', `repeats "${date}"`, line);
+    } else if (previous && date < previous) {
+      report(
+        'error',
+        'out-of-order-date',
+        `has "${date}" after "${previous}"`,
+        line
+      );
+    } else if (previous) {
+      const missing = [];
+
+      for (
+        let day = addDays(previous, 1);
+        day < date;
+        day = addDays(day, 1)
+      ) {
+        if (isPublicationDay(day, options.holidays)) {
+          missing.push(day);
+        }
+      }
+
+      if (missing.length) {
+        report(
+          'warning',
+          'missing-business-days',
+          `misses ${missing.length} business day(s) from "${missing[0]}" to "${missing.at(-1)}"`,
+          line
+        );
+      }
+    }
+
+    dates.push(date);
+  });
+
+  if (options.latest && lines.length > 1) {
+    report(
+      'error',
+      'malformed-latest',
+      `expected a single row, got ${lines.length}`
+    );
+  }
+
+  return issues;
+};
+
+/**
+ * Audits every `<BASE>/<QUOTE>.csv` and `.latest.csv` dataset under
+ * `dataPath` against the configured quotes and bases.
+ *
+ * @param {object} options
+ * @param {string} options.dataPath
+ * @param {string[]} options.quotes
+ * @param {string[]} options.bases
+ * @param {string[]=} options.holidays
+ * @param {import('./utils.js').FileIO=} options.io
+ * @returns {Promise<Report>}
+ */
+export const verifyDatasets = async (options) => {
+  const {
+    dataPath,
+    quotes,
+    bases,
+    holidays,
+    io = fileSystem,
+  } = options;
+  const issues = [];
+  let files = 0;
+
+  const found = (await listDirectory(dataPath)).filter((name) => {
+    return /^[A-Z]{3}$/.test(name);
+  });
+
+  for (const base of [...new Set([...bases, ...found])]) {
+    const dir = join(dataPath, base);
+    const names = await listDirectory(dir);
+
+    for (const name of names) {
+      const match = /^([A-Z]{3})(\.latest)?\.csv$/.exec(name);
+      const path = join(dir, name);
+
+      if (!match) {
+        continue;
+      }
+
+      files++;
+
+      const [, quote, latest] = match;
+
+      if (!quotes.includes(quote) || !bases.includes(base)) {
+        issues.push({
+          severity: 'warning',
+          code: 'unconfigured-quote',
+          path,
+          message: `"${base}/${quote}" is not configured`,
+        });
+      }
+
+      const content = await io.read(path);
+
+      issues.push(
+        ...verifyDataset(path, content, {
+          latest: Boolean(latest),
+          holidays,
+        })
+      );
+    }
+
+    if (!bases.includes(base)) {
+      continue;
+    }
+
+    for (const quote of quotes) {
+      if (quote !== base && !names.includes(`${quote}.csv`)) {
+        issues.push({
+          severity: 'error',
+          code: 'missing-file',
+          path: join(dir, `${quote}.csv`),
+          message: `configured "${base}/${quote}" has no dataset`,
+        });
+      }
+    }
+  }
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+
+  return {
+    ok: !errors.length,
+    files,
+    errors: errors.length,
+    warnings: issues.length - errors.length,
+    issues,
+  };
+};
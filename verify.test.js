@@ -0,0 +1,180 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { verifyDataset, verifyDatasets } from './verify.js';
+
+describe('verifyDataset', () => {
+  const options = { latest: false };
+
+  it('should accept consecutive business days', () => {
+    const content =
+      '2024-01-04,1.1\n2024-01-05,1.2\n2024-01-08,1.3\n';
+
+    assert.deepEqual(verifyDataset('USD.csv', content, options), []);
+  });
+
+  it('should accept carried forward rates', () => {
+    const content =
+      '2024-03-28,1.1\n2024-03-29,1.1,carried\n2024-04-02,1.2\n';
+
+    assert.deepEqual(
+      verifyDataset('USD.csv', content, {
+        ...options,
+        holidays: ['TARGET2'],
+      }),
+      []
+    );
+  });
+
+  it('should report malformed lines and rates', () => {
+    const content = '2024-01-04\n2024-01-05,abc\n2024/01/08,1.1\n';
+
+    assert.deepEqual(
+      verifyDataset('USD.csv', content, options).map((issue) => {
+        return [issue.code, issue.line, issue.message];
+      }),
+      [
+        [
+          'malformed-line',
+          1,
+          'expected a "date,rate" row, got "2024-01-04"',
+        ],
+        ['malformed-line', 2, 'expected a positive rate, got "abc"'],
+        [
+          'malformed-line',
+          3,
+          'expected a "date,rate" row, got "2024/01/08,1.1"',
+        ],
+      ]
+    );
+  });
+
+  it('should report duplicate and out-of-order dates', () => {
+    const content =
+      '2024-01-04,1.1\n2024-01-04,1.1\n2024-01-03,1.2\n';
+
+    assert.deepEqual(verifyDataset('USD.csv', content, options), [
+      {
+        severity: 'error',
+        code: 'duplicate-date',
+        path: 'USD.csv',
+        line: 2,
+        message: 'repeats "2024-01-04"',
+      },
+      {
+        severity: 'error',
+        code: 'out-of-order-date',
+        path: 'USD.csv',
+        line: 3,
+        message: 'has "2024-01-03" after "2024-01-04"',
+      },
+    ]);
+  });
+
+  it('should warn about empty rates and missing business days', () => {
+    const content = '2024-01-02,1.1\n2024-01-03,\n2024-01-09,1.2\n';
+
+    assert.deepEqual(verifyDataset('USD.csv', content, options), [
+      {
+        severity: 'warning',
+        code: 'empty-rate',
+        path: 'USD.csv',
+        line: 2,
+        message: 'has no rate for "2024-01-03"',
+      },
+      {
+        severity: 'warning',
+        code: 'missing-business-days',
+        path: 'USD.csv',
+        line: 3,
+        message:
+          'misses 3 business day(s) from "2024-01-04" to "2024-01-08"',
+      },
+    ]);
+  });
+
+  it('should expect a single row in latest datasets', () => {
+    const content = '2024-01-04,1.1\n2024-01-05,1.2\n';
+
+    assert.deepEqual(
+      verifyDataset('USD.latest.csv', content, { latest: true }),
+      [
+        {
+          severity: 'error',
+          code: 'malformed-latest',
+          path: 'USD.latest.csv',
+          message: 'expected a single row, got 2',
+        },
+      ]
+    );
+  });
+});
+
+describe('verifyDatasets', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'verify-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should report unconfigured and missing datasets', async () => {
+    await mkdir(join(dir, 'EUR'));
+    await writeFile(join(dir, 'EUR', 'USD.csv'), '2024-01-04,1.1\n');
+    await writeFile(join(dir, 'EUR', 'USD.latest.csv'), '');
+    await writeFile(join(dir, 'EUR', 'CYP.csv'), '2007-12-31,0.5\n');
+    await writeFile(join(dir, 'index.json'), '{}');
+
+    const report = await verifyDatasets({
+      dataPath: dir,
+      quotes: ['GBP', 'USD'],
+      bases: ['EUR'],
+    });
+
+    assert.deepEqual(report, {
+      ok: false,
+      files: 3,
+      errors: 1,
+      warnings: 2,
+      issues: [
+        {
+          severity: 'warning',
+          code: 'unconfigured-quote',
+          path: join(dir, 'EUR', 'CYP.csv'),
+          message: '"EUR/CYP" is not configured',
+        },
+        {
+          severity: 'warning',
+          code: 'empty-file',
+          path: join(dir, 'EUR', 'USD.latest.csv'),
+          message: 'has no rows',
+        },
+        {
+          severity: 'error',
+          code: 'missing-file',
+          path: join(dir, 'EUR', 'GBP.csv'),
+          message: 'configured "EUR/GBP" has no dataset',
+        },
+      ],
+    });
+  });
+
+  it('should pass healthy datasets', async () => {
+    await mkdir(join(dir, 'USD'));
+    await writeFile(join(dir, 'USD', 'EUR.csv'), '2024-01-04,0.9\n');
+
+    const report = await verifyDatasets({
+      dataPath: dir,
+      quotes: ['EUR', 'USD'],
+      bases: ['USD'],
+    });
+
+    assert.equal(report.ok, true);
+    assert.equal(report.files, 1);
+  });
+});